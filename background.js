@@ -1,9 +1,21 @@
 // In-memory stores are replaced with chrome.storage.session for persistence across service worker restarts.
+
+importScripts('duplicates.js', 'session-transfer.js');
+
+// Colors a group can carry. The names match chrome.tabGroups.Color.
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+// Longest group icon, counted in user-perceived characters (grapheme clusters)
+const MAX_GROUP_ICON_LENGTH = 8;
+
+// tabParentMap links a tab to the tab it was opened from ({ childTabId: parentTabId }) for tree mode.
+// tabLoadErrors holds the last main-frame load error of a tab ({ tabId: errorName }) for the side panel.
 async function getState() {
-    const result = await chrome.storage.session.get(['tabGroupMap', 'windowData']);
+    const result = await chrome.storage.session.get(['tabGroupMap', 'windowData', 'tabParentMap', 'tabLoadErrors']);
     return {
         tabGroupMap: result.tabGroupMap || {},
-        windowData: result.windowData || {}
+        windowData: result.windowData || {},
+        tabParentMap: result.tabParentMap || {},
+        tabLoadErrors: result.tabLoadErrors || {}
     };
 }
 
@@ -11,6 +23,49 @@ async function setState(newState) {
     await chrome.storage.session.set(newState);
 }
 
+/**
+ * Returns the per-window entry of windowData, creating it with defaults if needed.
+ * Older entries are filled in with any fields they are missing.
+ */
+function ensureWindowData(windowData, windowId) {
+    if (!windowData[windowId]) {
+        windowData[windowId] = {};
+    }
+    const entry = windowData[windowId];
+    entry.groupNames = entry.groupNames || {};
+    entry.groupOrder = entry.groupOrder || [];
+    entry.collapsedGroups = entry.collapsedGroups || {};
+    entry.groupColors = entry.groupColors || {};
+    entry.groupIcons = entry.groupIcons || {};
+    entry.nativeGroupIds = entry.nativeGroupIds || {};
+    return entry;
+}
+
+/**
+ * Shortens a group icon to MAX_GROUP_ICON_LENGTH characters without splitting
+ * emoji that are made of several code points
+ */
+function truncateGroupIcon(icon) {
+    const graphemes = Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(icon));
+    return graphemes.slice(0, MAX_GROUP_ICON_LENGTH).map(grapheme => grapheme.segment).join('');
+}
+
+/**
+ * Returns a group order that lists every named group exactly once,
+ * keeping the stored order and appending any groups missing from it
+ */
+function normalizeGroupOrder(groupOrder, groupNames) {
+    const order = (groupOrder || []).filter((groupId, index, list) =>
+        groupNames[groupId] && list.indexOf(groupId) === index
+    );
+    for (const groupId in groupNames) {
+        if (!order.includes(groupId)) {
+            order.push(groupId);
+        }
+    }
+    return order;
+}
+
 // Auto-save session functionality
 let saveTimeout = null;
 
@@ -32,6 +87,8 @@ function debouncedAutoSave() {
  * Only updates existing session, never creates a new one
  */
 async function autoSaveSession() {
+    // Never overwrite the stored session before the groups in it have been reattached
+    await ensureStartupReconciled();
     console.log('Auto-saving session. Current time:', new Date().toISOString());
     try {
         const sessionState = await collectSessionState();
@@ -89,10 +146,19 @@ async function getSessionConfig() {
     const result = await chrome.storage.local.get(['sessionConfig']);
     return {
         maxSessions: 3,
+        maxPinnedSessions: 10,
         ...result.sessionConfig
     };
 }
 
+/**
+ * Keeps every pinned session and the most recent unpinned sessions up to the configured cap
+ */
+function trimSessions(sessions, config) {
+    let unpinnedCount = 0;
+    return sessions.filter(session => session.pinned || ++unpinnedCount <= config.maxSessions);
+}
+
 /**
  * Gets all stored sessions
  */
@@ -132,7 +198,7 @@ async function shouldCreateNewSession() {
 /**
  * Creates a new session and adds it to storage
  */
-async function createNewSession(sessionState) {
+async function createNewSession(sessionState, name) {
     const sessions = await getStoredSessions();
     const config = await getSessionConfig();
     
@@ -147,12 +213,15 @@ async function createNewSession(sessionState) {
         windows: sessionState.windows,
         groupNames: sessionState.groupNames || {}
     };
+    if (name) {
+        newSession.name = name;
+    }
     
     // Add new session to the beginning of the array
     sessions.unshift(newSession);
     
-    // Keep only the configured number of sessions
-    const trimmedSessions = sessions.slice(0, config.maxSessions);
+    // Keep only the configured number of unpinned sessions
+    const trimmedSessions = trimSessions(sessions, config);
     
     await chrome.storage.local.set({ sessions: trimmedSessions });
     return newSession;
@@ -160,12 +229,13 @@ async function createNewSession(sessionState) {
 
 /**
  * Updates the most recent session with current state
+ * Pinned sessions are never overwritten, so a pinned first session starts a new one
  */
 async function updateCurrentSession(sessionState) {
     const sessions = await getStoredSessions();
     
-    if (sessions.length === 0) {
-        // No existing sessions, create a new one
+    if (sessions.length === 0 || sessions[0].pinned) {
+        // No current session to update, create a new one
         return await createNewSession(sessionState);
     }
     
@@ -186,11 +256,129 @@ async function updateCurrentSession(sessionState) {
     return sessions[0];
 }
 
+/**
+ * Works out the sessions list after inserting new sessions after the current one and trimming it.
+ * Returns the list with how many new sessions were kept or left out and how many existing ones were evicted.
+ */
+function planSessionInsert(sessions, newSessions, config) {
+    const merged = sessions.slice(0, 1).concat(newSessions, sessions.slice(1));
+    // Always leave room for the current session and at least one added session, even with a
+    // limit of 1 (the popup says so next to the setting)
+    const kept = trimSessions(merged, { ...config, maxSessions: Math.max(config.maxSessions, 2) });
+    const keptCount = newSessions.filter(session => kept.includes(session)).length;
+    const skippedCount = newSessions.length - keptCount;
+    return { sessions: kept, keptCount, skippedCount, evictedCount: merged.length - kept.length - skippedCount };
+}
+
+/**
+ * Adds sessions after the current one so auto-save doesn't overwrite them
+ */
+async function insertSessionsAfterCurrent(newSessions) {
+    const existingSessions = await getStoredSessions();
+    if (existingSessions.length === 0 || existingSessions[0].pinned) {
+        // Keep a current session in front so the new ones aren't the target of the next auto-save
+        await createNewSession(await collectSessionState());
+    }
+
+    const plan = planSessionInsert(await getStoredSessions(), newSessions, await getSessionConfig());
+    await chrome.storage.local.set({ sessions: plan.sessions });
+    return plan;
+}
+
+/**
+ * Gives an imported session's groups new IDs. Group IDs are global keys in tabGroupMap, so an
+ * ID kept from the file could match a group that is open now and merge the two on restore.
+ */
+function renameImportedGroupIds(session, sessionIndex) {
+    const idPrefix = `group-${Date.now()}-import-${sessionIndex}`;
+    session.windows.forEach((window, windowIndex) => {
+        const newGroupIds = {};
+        Object.keys(window.groupNames).forEach((groupId, groupIndex) => {
+            newGroupIds[groupId] = `${idPrefix}-${windowIndex}-${groupIndex}`;
+        });
+        const renameKeys = map => Object.fromEntries(Object.entries(map)
+            .filter(([groupId]) => newGroupIds[groupId])
+            .map(([groupId, value]) => [newGroupIds[groupId], value]));
+
+        window.groupNames = renameKeys(window.groupNames);
+        window.groupOrder = window.groupOrder.map(groupId => newGroupIds[groupId]);
+        window.collapsedGroups = renameKeys(window.collapsedGroups);
+        window.groupColors = renameKeys(window.groupColors);
+        window.groupIcons = renameKeys(window.groupIcons);
+        window.tabs.forEach(tab => {
+            tab.groupId = newGroupIds[tab.groupId] || 'ungrouped';
+        });
+    });
+    session.groupNames = Object.assign({}, ...session.windows.map(window => window.groupNames));
+    return session;
+}
+
+/**
+ * Adds imported sessions to the sessions list. Imports keep their name but are never pinned.
+ * Unless allowEviction is set, nothing is stored when the session limit would drop imported
+ * or existing sessions; the result then has needsConfirmation with the counts.
+ */
+async function importSessions(importedSessions, allowEviction) {
+    const sanitized = importedSessions.map((session, i) => ({
+        id: `session-${Date.now()}-${i}`,
+        ...renameImportedGroupIds(sanitizeImportedSession(session, `Session ${i + 1}`), i)
+    }));
+
+    if (!allowEviction) {
+        const existingSessions = await getStoredSessions();
+        // A current session is created in front when there is none, see insertSessionsAfterCurrent
+        const currentSession = existingSessions.length === 0 || existingSessions[0].pinned ? [{}] : [];
+        const plan = planSessionInsert(currentSession.concat(existingSessions), sanitized, await getSessionConfig());
+        if (plan.skippedCount > 0 || plan.evictedCount > 0) {
+            return { needsConfirmation: true, skippedCount: plan.skippedCount, evictedCount: plan.evictedCount };
+        }
+    }
+
+    const { keptCount, skippedCount, evictedCount } = await insertSessionsAfterCurrent(sanitized);
+    return { keptCount, skippedCount, evictedCount };
+}
+
+/**
+ * Saves the current state as a separate named session that auto-save leaves alone
+ */
+async function saveSessionAsNew(sessionState, name) {
+    const newSession = {
+        id: `session-${Date.now()}`,
+        timestamp: Date.now(),
+        totalTabs: sessionState.windows.reduce((sum, w) => sum + w.tabs.length, 0),
+        windowCount: sessionState.windows.length,
+        windows: sessionState.windows,
+        groupNames: sessionState.groupNames || {}
+    };
+    if (name) {
+        newSession.name = name;
+    }
+    await insertSessionsAfterCurrent([newSession]);
+    return newSession;
+}
+
+/**
+ * Applies a change to one stored session and saves the list
+ */
+async function updateStoredSession(sessionId, changes) {
+    const sessions = await getStoredSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) {
+        throw new Error('Selected session not found');
+    }
+    Object.assign(session, changes);
+    if (!session.name) {
+        delete session.name;
+    }
+    await chrome.storage.local.set({ sessions });
+    return session;
+}
+
 /**
  * Collects current state of all tabs and groups across all windows
  */
 async function collectSessionState() {
-    const { tabGroupMap, windowData } = await getState();
+    const { tabGroupMap, windowData, tabParentMap } = await getState();
     const allWindows = await chrome.windows.getAll();
     const sessionWindows = [];
     const allGroupNames = {};
@@ -198,25 +386,38 @@ async function collectSessionState() {
     for (const window of allWindows) {
         const tabs = await chrome.tabs.query({ windowId: window.id });
         const windowGroups = windowData[window.id] ? windowData[window.id].groupNames : {};
+        const windowEntry = windowData[window.id] || {};
         
         // Collect all group names across windows
         Object.assign(allGroupNames, windowGroups);
         
         // Filter out invalid URLs that can't be restored
-        const sessionTabs = tabs
-            .filter(tab => isRestorableUrl(tab.url))
-            .map(tab => ({
-                url: tab.url,
+        const restorableTabs = tabs.filter(tab => isRestorableUrl(unwrapLazyTabUrl(tab.url)));
+        // Tab IDs change on restore, so parents are stored as positions in this window's tab list
+        const positionByTabId = new Map(restorableTabs.map((tab, position) => [tab.id, position]));
+        const sessionTabs = restorableTabs.map(tab => {
+            const sessionTab = {
+                url: unwrapLazyTabUrl(tab.url),
                 title: tab.title,
                 pinned: tab.pinned,
                 groupId: tabGroupMap[tab.id] || 'ungrouped'
-            }));
+            };
+            const parentTabId = tabParentMap[tab.id];
+            if (parentTabId && positionByTabId.has(parentTabId)) {
+                sessionTab.parentIndex = positionByTabId.get(parentTabId);
+            }
+            return sessionTab;
+        });
 
         // Only add windows that have restorable tabs
         if (sessionTabs.length > 0) {
             sessionWindows.push({
                 tabs: sessionTabs,
-                groupNames: windowGroups
+                groupNames: windowGroups,
+                groupOrder: normalizeGroupOrder(windowEntry.groupOrder, windowGroups),
+                collapsedGroups: windowEntry.collapsedGroups || {},
+                groupColors: windowEntry.groupColors || {},
+                groupIcons: windowEntry.groupIcons || {}
             });
         }
     }
@@ -228,6 +429,27 @@ async function collectSessionState() {
     };
 }
 
+// Placeholder page for tabs restored in lazy mode; it loads the real URL once activated
+const LAZY_TAB_PAGE = 'lazy-tab.html';
+
+/**
+ * Builds the placeholder URL for a tab restored in lazy mode
+ */
+function getLazyTabUrl(url, title) {
+    const params = new URLSearchParams({ url, title: title || url });
+    return chrome.runtime.getURL(`${LAZY_TAB_PAGE}?${params}`);
+}
+
+/**
+ * Returns the real URL behind a lazy placeholder tab, or the URL unchanged
+ */
+function unwrapLazyTabUrl(url) {
+    if (url && url.startsWith(chrome.runtime.getURL(LAZY_TAB_PAGE))) {
+        return new URL(url).searchParams.get('url') || url;
+    }
+    return url;
+}
+
 /**
  * Checks if a URL can be restored (filters out chrome:// URLs, extensions, etc.)
  */
@@ -247,130 +469,1883 @@ function isRestorableUrl(url) {
     return !restrictedPrefixes.some(prefix => url.startsWith(prefix));
 }
 
-// Removed Chrome context menu - will be replaced with custom context menu in sidepanel
+// Native tab group sync: optionally mirrors extension groups to chrome.tabGroups and back.
+// Links between extension groups and native groups are kept per window in
+// windowData[windowId].nativeGroupIds ({ extensionGroupId: nativeGroupId }).
+const TAB_GROUP_ID_NONE = -1;
+let nativeSyncTimeout = null;
+let nativeSyncQueue = Promise.resolve();
 
-chrome.tabs.onCreated.addListener(async (newTab) => {
-    let { tabGroupMap, windowData } = await getState();
-    let openerGroupId;
+/**
+ * Checks whether native tab group sync is turned on
+ */
+async function isNativeGroupSyncEnabled() {
+    const result = await chrome.storage.local.get(['nativeGroupSync']);
+    return result.nativeGroupSync === true;
+}
 
-    // Check if we should create a new session on tab creation
-    // This handles the case where browser was restarted and first tab is created
-    if (await shouldCreateNewSession()) {
+/**
+ * Runs native sync work one task at a time so that events caused by our own
+ * chrome.tabs.group() calls are only handled after the links are stored
+ */
+function enqueueNativeSync(task) {
+    nativeSyncQueue = nativeSyncQueue.then(task).catch(error => {
+        console.error('Error syncing native tab groups:', error);
+    });
+    return nativeSyncQueue;
+}
+
+/**
+ * Debounced push of extension groups to native tab groups in every window
+ */
+function debouncedNativeSync() {
+    if (nativeSyncTimeout) {
+        clearTimeout(nativeSyncTimeout);
+    }
+
+    nativeSyncTimeout = setTimeout(() => {
+        enqueueNativeSync(syncAllWindowsToNative);
+    }, 300);
+}
+
+/**
+ * Asks open side panels to refresh after the background changed group state
+ */
+function notifyPanels() {
+    chrome.runtime.sendMessage({ action: 'updatePanel' }).catch(() => {
+        // No side panel is open
+    });
+}
+
+/**
+ * Finds the extension group linked to a native group in a window
+ */
+function findLinkedGroupId(windowEntry, nativeGroupId) {
+    return Object.keys(windowEntry.nativeGroupIds).find(groupId =>
+        windowEntry.nativeGroupIds[groupId] === nativeGroupId
+    ) || null;
+}
+
+/**
+ * Returns the extension group linked to a native group, creating and linking one if needed
+ */
+function adoptNativeGroup(windowEntry, nativeGroup) {
+    let groupId = findLinkedGroupId(windowEntry, nativeGroup.id);
+    if (!groupId) {
+        groupId = `group-${Date.now()}-${nativeGroup.id}`;
+        windowEntry.groupNames[groupId] = nativeGroup.title || `Group ${Object.keys(windowEntry.groupNames).length + 1}`;
+        windowEntry.groupOrder.push(groupId);
+        windowEntry.nativeGroupIds[groupId] = nativeGroup.id;
+    }
+    return groupId;
+}
+
+/**
+ * Copies a native group's title, color and collapsed state onto its linked extension group
+ */
+function applyNativeGroupProperties(windowEntry, groupId, nativeGroup) {
+    if (nativeGroup.title) {
+        windowEntry.groupNames[groupId] = nativeGroup.title;
+    }
+    if (GROUP_COLORS.includes(nativeGroup.color)) {
+        windowEntry.groupColors[groupId] = nativeGroup.color;
+    }
+    if (nativeGroup.collapsed) {
+        windowEntry.collapsedGroups[groupId] = true;
+    } else {
+        delete windowEntry.collapsedGroups[groupId];
+    }
+}
+
+/**
+ * Pushes the extension groups of every window to native tab groups
+ */
+async function syncAllWindowsToNative() {
+    if (!(await isNativeGroupSyncEnabled())) {
+        return;
+    }
+
+    const { tabGroupMap, windowData } = await getState();
+    const allWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    for (const window of allWindows) {
         try {
-            const sessionState = await collectSessionState();
-            await createNewSession(sessionState);
+            await syncWindowToNative(window.id, tabGroupMap, windowData);
         } catch (error) {
-            console.error('Error creating new session on tab creation:', error);
+            console.error('Error syncing window to native tab groups:', window.id, error);
         }
     }
+    await setState({ tabGroupMap, windowData });
+}
 
-    // For duplicated tabs, openerTabId is set to the ID of the original tab.
-    if (newTab.openerTabId) {
-        // Verify the opener tab is in the same window to prevent cross-window group inheritance
-        try {
-            const openerTab = await chrome.tabs.get(newTab.openerTabId);
-            if (openerTab && openerTab.windowId === newTab.windowId) {
-                openerGroupId = tabGroupMap[newTab.openerTabId];
+/**
+ * Makes the native tab groups of a window match its extension groups.
+ * Native groups that are not linked yet are adopted first, so turning sync on
+ * keeps groups that were made in the tab strip.
+ */
+async function syncWindowToNative(windowId, tabGroupMap, windowData) {
+    const windowEntry = ensureWindowData(windowData, windowId);
+    const tabs = await chrome.tabs.query({ windowId });
+    const nativeGroups = await chrome.tabGroups.query({ windowId });
+    const nativeGroupsById = new Map(nativeGroups.map(group => [group.id, group]));
+
+    // Forget links to native groups that no longer exist or to deleted extension groups
+    for (const groupId in windowEntry.nativeGroupIds) {
+        if (!nativeGroupsById.has(windowEntry.nativeGroupIds[groupId]) || !windowEntry.groupNames[groupId]) {
+            delete windowEntry.nativeGroupIds[groupId];
+        }
+    }
+
+    // Adopt native groups made in the tab strip, keeping any extension group a tab already has
+    for (const nativeGroup of nativeGroups) {
+        if (!findLinkedGroupId(windowEntry, nativeGroup.id)) {
+            const groupId = adoptNativeGroup(windowEntry, nativeGroup);
+            applyNativeGroupProperties(windowEntry, groupId, nativeGroup);
+            tabs.filter(tab => tab.groupId === nativeGroup.id && !tabGroupMap[tab.id])
+                .forEach(tab => { tabGroupMap[tab.id] = groupId; });
+        }
+    }
+
+    const tabIdsByGroup = {};
+    const tabIdsToUngroup = [];
+    for (const tab of tabs) {
+        const groupId = tabGroupMap[tab.id];
+        // Pinned tabs cannot be in a native group
+        if (groupId && windowEntry.groupNames[groupId] && !tab.pinned) {
+            if (tab.groupId !== windowEntry.nativeGroupIds[groupId]) {
+                tabIdsByGroup[groupId] = tabIdsByGroup[groupId] || [];
+                tabIdsByGroup[groupId].push(tab.id);
             }
-        } catch (error) {
-            console.warn('Could not get opener tab info:', error);
+        } else if (tab.groupId !== TAB_GROUP_ID_NONE) {
+            tabIdsToUngroup.push(tab.id);
         }
     }
 
-    // Fallback for cases like "New Tab to the Right" where openerTabId is not set.
-    // Only inherit from tabs in the same window to prevent cross-window group leakage
-    if (!openerGroupId && newTab.index > 0) {
-        try {
-            const [leftTab] = await chrome.tabs.query({
-                windowId: newTab.windowId,
-                index: newTab.index - 1
+    if (tabIdsToUngroup.length > 0) {
+        await chrome.tabs.ungroup(tabIdsToUngroup);
+    }
+
+    for (const groupId in tabIdsByGroup) {
+        const nativeGroupId = windowEntry.nativeGroupIds[groupId];
+        if (nativeGroupId !== undefined) {
+            await chrome.tabs.group({ groupId: nativeGroupId, tabIds: tabIdsByGroup[groupId] });
+        } else {
+            windowEntry.nativeGroupIds[groupId] = await chrome.tabs.group({
+                tabIds: tabIdsByGroup[groupId],
+                createProperties: { windowId }
             });
+        }
+    }
 
-            if (leftTab) {
-                const leftTabGroupId = tabGroupMap[leftTab.id];
-                // Only inherit the group if it exists in the current window's group names
-                // This prevents inheriting group IDs from other windows
-                if (leftTabGroupId && leftTabGroupId !== 'ungrouped') {
-                    const windowGroups = windowData[newTab.windowId] ? windowData[newTab.windowId].groupNames : {};
-                    if (windowGroups[leftTabGroupId]) {
-                        openerGroupId = leftTabGroupId;
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error finding group for new tab:', error);
+    for (const groupId in windowEntry.nativeGroupIds) {
+        const nativeGroupId = windowEntry.nativeGroupIds[groupId];
+        const nativeGroup = nativeGroupsById.get(nativeGroupId) || await chrome.tabGroups.get(nativeGroupId);
+        const update = {};
+        if (nativeGroup.title !== windowEntry.groupNames[groupId]) {
+            update.title = windowEntry.groupNames[groupId];
         }
+        const color = windowEntry.groupColors[groupId];
+        if (color && nativeGroup.color !== color) {
+            update.color = color;
+        }
+        const collapsed = !!windowEntry.collapsedGroups[groupId];
+        if (nativeGroup.collapsed !== collapsed) {
+            update.collapsed = collapsed;
+        }
+        if (Object.keys(update).length > 0) {
+            await chrome.tabGroups.update(nativeGroupId, update);
+        }
+    }
+}
+
+/**
+ * Applies a change made to a native group in the tab strip to the extension group it is linked to
+ */
+async function handleNativeGroupChanged(nativeGroupId) {
+    if (!(await isNativeGroupSyncEnabled())) {
+        return;
     }
 
-    if (openerGroupId) {
-        tabGroupMap[newTab.id] = openerGroupId;
-        await setState({ tabGroupMap, windowData });
+    let nativeGroup;
+    try {
+        // Read the current state instead of the event snapshot, which may predate our own updates
+        nativeGroup = await chrome.tabGroups.get(nativeGroupId);
+    } catch (error) {
+        return; // The group is already gone
     }
-    
-    // Auto-save session after tab creation
+
+    const { windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, nativeGroup.windowId);
+    const groupId = adoptNativeGroup(windowEntry, nativeGroup);
+    applyNativeGroupProperties(windowEntry, groupId, nativeGroup);
+    await setState({ windowData });
     debouncedAutoSave();
-});
+    notifyPanels();
+}
 
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-    const { tabGroupMap } = await getState();
-    delete tabGroupMap[tabId];
-    await setState({ tabGroupMap });
-    
-    // Auto-save session after tab removal
+/**
+ * Unlinks an extension group from a native group that was removed
+ */
+async function handleNativeGroupRemoved(nativeGroup) {
+    const { windowData } = await getState();
+    const windowEntry = windowData[nativeGroup.windowId];
+    if (!windowEntry || !windowEntry.nativeGroupIds) {
+        return;
+    }
+    const groupId = findLinkedGroupId(windowEntry, nativeGroup.id);
+    if (groupId) {
+        delete windowEntry.nativeGroupIds[groupId];
+        await setState({ windowData });
+    }
+}
+
+/**
+ * Moves a tab between extension groups after it was grouped or ungrouped in the tab strip
+ */
+async function handleNativeTabGroupChanged(tab) {
+    if (!(await isNativeGroupSyncEnabled())) {
+        return;
+    }
+
+    const { tabGroupMap, windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, tab.windowId);
+    const currentGroupId = tabGroupMap[tab.id];
+
+    if (tab.groupId === TAB_GROUP_ID_NONE) {
+        // Only ungroup tabs whose extension group is mirrored; others have not been synced yet
+        if (!currentGroupId || windowEntry.nativeGroupIds[currentGroupId] === undefined) {
+            return;
+        }
+        delete tabGroupMap[tab.id];
+    } else {
+        let nativeGroup;
+        try {
+            nativeGroup = await chrome.tabGroups.get(tab.groupId);
+        } catch (error) {
+            return;
+        }
+        const groupId = adoptNativeGroup(windowEntry, nativeGroup);
+        if (currentGroupId === groupId) {
+            return;
+        }
+        tabGroupMap[tab.id] = groupId;
+    }
+
+    await setState({ tabGroupMap, windowData });
     debouncedAutoSave();
+    notifyPanels();
+}
+
+chrome.tabGroups.onCreated.addListener((group) => {
+    enqueueNativeSync(() => handleNativeGroupChanged(group.id));
 });
 
-// Auto-save on tab updates (URL changes, etc.)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    // Only auto-save for meaningful changes like URL or title
-    if (changeInfo.url || changeInfo.title) {
-        debouncedAutoSave();
-    }
+chrome.tabGroups.onUpdated.addListener((group) => {
+    enqueueNativeSync(() => handleNativeGroupChanged(group.id));
 });
 
-// Auto-save on tab moves
-chrome.tabs.onMoved.addListener(() => {
-    debouncedAutoSave();
+chrome.tabGroups.onRemoved.addListener((group) => {
+    enqueueNativeSync(() => handleNativeGroupRemoved(group));
 });
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    (async () => {
-        if (message.action === 'getTabGroupMap') {
-            const { tabGroupMap, windowData } = await getState();
-            const windowId = message.windowId;
-            if (!windowId) {
-                sendResponse({ tabGroupMap: tabGroupMap, groupNames: {} });
-                return;
-            }
-            const windowGroups = windowData[windowId] ? windowData[windowId].groupNames : {};
-            sendResponse({ tabGroupMap: tabGroupMap, groupNames: windowGroups });
-        } else if (message.action === 'updateMultipleTabGroups') {
-            const { tabGroupMap } = await getState();
-            message.tabIds.forEach(tabId => {
-                tabGroupMap[tabId] = message.newGroupId;
-            });
-            await setState({ tabGroupMap });
-            debouncedAutoSave();
-            sendResponse({ success: true });
-        } else if (message.action === 'addTabToNewGroup') {
-            const { tabGroupMap, windowData } = await getState();
-            const { windowId, tabId } = message;
-            if (!windowId) {
-                sendResponse({ success: false, error: 'windowId is required' });
-                return;
-            }
-            const newGroupId = message.groupId || `group-${Date.now()}`;
-            if (!windowData[windowId]) {
-                windowData[windowId] = { groupNames: {} };
-            }
-            const groupName = message.groupName || `Group ${Object.keys(windowData[windowId].groupNames).length + 1}`;
-            
-            tabGroupMap[tabId] = newGroupId;
-            windowData[windowId].groupNames[newGroupId] = groupName;
-            
-            await setState({ tabGroupMap, windowData });
-            debouncedAutoSave();
-            
+// Rule-based auto grouping. Rules live in chrome.storage.local.groupingRules, highest priority first:
+// [{ id, type: 'domain' | 'glob' | 'regex', pattern, groupName, overrideOpener, enabled }]
+// A rule targets a group by name, so the same rule works in every window.
+
+/**
+ * Loads the grouping rules in priority order
+ */
+async function getGroupingRules() {
+    const result = await chrome.storage.local.get(['groupingRules']);
+    return Array.isArray(result.groupingRules) ? result.groupingRules : [];
+}
+
+/**
+ * Escapes text for literal use inside a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a glob (* for any run of characters, ? for one character) into a regex over the whole URL
+ */
+function globToRegExp(glob) {
+    const source = glob.split('*')
+        .map(part => part.split('?').map(escapeRegExp).join('.'))
+        .join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks whether a URL is covered by a rule. Domain rules also match subdomains.
+ */
+function ruleMatchesUrl(rule, url) {
+    try {
+        if (rule.type === 'domain') {
+            const hostname = new URL(url).hostname.toLowerCase();
+            const domain = rule.pattern.trim().toLowerCase().replace(/^\*\./, '');
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        }
+        if (rule.type === 'glob') {
+            return globToRegExp(rule.pattern.trim()).test(url);
+        }
+        if (rule.type === 'regex') {
+            return new RegExp(rule.pattern, 'i').test(url);
+        }
+    } catch (error) {
+        // Unparseable URLs and invalid patterns never match
+    }
+    return false;
+}
+
+/**
+ * Returns the highest-priority enabled rule matching a URL, or null
+ */
+function findMatchingRule(rules, url) {
+    if (!url || url === 'about:blank') return null;
+    return rules.find(rule => rule.enabled !== false && rule.groupName && ruleMatchesUrl(rule, url)) || null;
+}
+
+// Counts the IDs handed out by createGroupId, so groups created in the same millisecond differ
+let groupIdCounter = 0;
+
+/**
+ * Returns a new group ID. Group IDs are global keys in tabGroupMap, so they must differ across
+ * windows too: rules, restores and cross-window moves can create several groups at once.
+ */
+function createGroupId() {
+    groupIdCounter++;
+    return `group-${Date.now()}-${groupIdCounter}`;
+}
+
+/**
+ * Returns the ID of the group with the given name in a window, creating the group if it is missing
+ */
+function findOrCreateNamedGroup(windowEntry, groupName) {
+    const existingGroupId = Object.keys(windowEntry.groupNames).find(groupId =>
+        windowEntry.groupNames[groupId] === groupName
+    );
+    if (existingGroupId) {
+        return existingGroupId;
+    }
+
+    const newGroupId = createGroupId();
+    windowEntry.groupNames[newGroupId] = groupName;
+    windowEntry.groupOrder.push(newGroupId);
+    return newGroupId;
+}
+
+// New tabs get their group (inherited or from a rule) and navigations apply the rules through
+// one queue, so each read-modify-write of the state sees the previous one.
+let tabAssignmentQueue = Promise.resolve();
+
+/**
+ * Runs a tab group assignment after the ones before it; the returned promise settles with the task
+ */
+function enqueueTabAssignment(task) {
+    const result = tabAssignmentQueue.then(task);
+    tabAssignmentQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Moves a tab that navigated to a URL covered by a rule into the rule's group.
+ * Tabs that already have a group only move when the rule overrides inherited groups.
+ */
+async function applyGroupingRulesOnNavigation(tab) {
+    if (tab.pinned) return;
+    await ensureStartupReconciled();
+    const rule = findMatchingRule(await getGroupingRules(), tab.url);
+    if (!rule) return;
+
+    const { tabGroupMap, windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, tab.windowId);
+    const currentGroupId = tabGroupMap[tab.id] && tabGroupMap[tab.id] !== 'ungrouped' ? tabGroupMap[tab.id] : null;
+    if (currentGroupId && windowEntry.groupNames[currentGroupId] === rule.groupName) return;
+    if (currentGroupId && !rule.overrideOpener) return;
+
+    tabGroupMap[tab.id] = findOrCreateNamedGroup(windowEntry, rule.groupName);
+    await setState({ tabGroupMap, windowData });
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+// Duplicate tab policy: when enabled, a newly opened tab that lands on a page already open
+// in another tab is closed and the existing tab is focused instead.
+// Tabs stay in freshTabIds until their first real navigation, so tabs with history are never closed.
+// Tabs the extension opens itself (restored sessions, reopened stashes and closed groups, the
+// panel's Duplicate) are kept in extensionTabIds and left alone; their IDs are known once the
+// create call returns, which can be before or after onCreated runs.
+const freshTabIds = new Set();
+const extensionTabIds = new Set();
+
+/**
+ * Leaves tabs the extension opened out of the duplicate tab policy
+ */
+function markExtensionTabs(tabIds) {
+    tabIds.forEach(tabId => {
+        extensionTabIds.add(tabId);
+        freshTabIds.delete(tabId);
+    });
+}
+
+/**
+ * Loads the duplicate detection settings merged over the defaults
+ */
+async function getDuplicateSettings() {
+    const result = await chrome.storage.local.get(['duplicateSettings']);
+    return { ...DEFAULT_DUPLICATE_SETTINGS, ...(result.duplicateSettings || {}) };
+}
+
+/**
+ * Switches to an existing copy of a fresh tab's page and closes the fresh tab
+ */
+async function switchToExistingDuplicate(tab) {
+    if (!freshTabIds.has(tab.id)) return;
+
+    const settings = await getDuplicateSettings();
+    const normalizedUrl = normalizeTabUrl(tab.url, settings);
+    // New tab pages and the like do not count as the first navigation
+    if (!normalizedUrl) return;
+    freshTabIds.delete(tab.id);
+    if (!settings.switchToExisting) return;
+
+    // A duplicate the user asked for (the tab strip's Duplicate) has the page of its opener
+    if (tab.openerTabId) {
+        try {
+            const openerTab = await chrome.tabs.get(tab.openerTabId);
+            if (normalizeTabUrl(openerTab.url || openerTab.pendingUrl, settings) === normalizedUrl) return;
+        } catch (error) {
+            // The opener is gone; treat the tab like any other new tab
+        }
+    }
+
+    const allTabs = await chrome.tabs.query({});
+    const existingTab = allTabs.find(other =>
+        other.id !== tab.id &&
+        other.incognito === tab.incognito &&
+        normalizeTabUrl(other.url || other.pendingUrl, settings) === normalizedUrl
+    );
+    if (!existingTab) return;
+
+    await chrome.tabs.update(existingTab.id, { active: true });
+    await chrome.windows.update(existingTab.windowId, { focused: true });
+    await chrome.tabs.remove(tab.id);
+}
+
+// Group suspension: discards the tabs of a group to free memory. Chrome reloads a discarded
+// tab by itself when it is activated, so only the tab the user opens comes back.
+// Auto-suspend settings live in chrome.storage.local.autoSuspend ({ enabled, minutes }).
+const AUTO_SUSPEND_ALARM = 'autoSuspendGroups';
+const DEFAULT_AUTO_SUSPEND_MINUTES = 30;
+
+/**
+ * Discards every tab in the list that can be discarded. Active tabs are skipped, as Chrome
+ * refuses to discard them, and so are audible tabs so that playback is not cut off.
+ */
+async function discardTabs(tabs) {
+    let discardedCount = 0;
+    for (const tab of tabs) {
+        if (tab.active || tab.discarded || tab.audible) continue;
+        try {
+            await chrome.tabs.discard(tab.id);
+            discardedCount++;
+        } catch (error) {
+            console.warn('Could not discard tab:', tab.id, error);
+        }
+    }
+    return discardedCount;
+}
+
+/**
+ * Returns the tabs of a window that belong to an extension group
+ */
+async function getGroupTabs(windowId, groupId) {
+    const { tabGroupMap } = await getState();
+    const windowTabs = await chrome.tabs.query({ windowId: windowId });
+    return windowTabs.filter(tab => tabGroupMap[tab.id] === groupId && !tab.pinned);
+}
+
+/**
+ * Loads the auto-suspend settings merged over the defaults
+ */
+async function getAutoSuspendSettings() {
+    const result = await chrome.storage.local.get(['autoSuspend']);
+    return { enabled: false, minutes: DEFAULT_AUTO_SUSPEND_MINUTES, ...(result.autoSuspend || {}) };
+}
+
+/**
+ * Creates or clears the periodic auto-suspend alarm to match the settings
+ */
+async function scheduleAutoSuspendAlarm() {
+    const settings = await getAutoSuspendSettings();
+    if (settings.enabled) {
+        await chrome.alarms.create(AUTO_SUSPEND_ALARM, { periodInMinutes: 1 });
+    } else {
+        await chrome.alarms.clear(AUTO_SUSPEND_ALARM);
+    }
+}
+
+/**
+ * Suspends groups none of whose tabs were used within the configured number of minutes.
+ * Groups holding the active tab of their window or a tab playing audio are left alone.
+ */
+async function suspendIdleGroups() {
+    const settings = await getAutoSuspendSettings();
+    if (!settings.enabled) return;
+
+    const idleSince = Date.now() - settings.minutes * 60 * 1000;
+    const { tabGroupMap, windowData } = await getState();
+    const allTabs = await chrome.tabs.query({});
+    let suspendedAny = false;
+
+    for (const windowId in windowData) {
+        for (const groupId of Object.keys(windowData[windowId].groupNames || {})) {
+            const groupTabs = allTabs.filter(tab =>
+                tab.windowId === parseInt(windowId) && tabGroupMap[tab.id] === groupId && !tab.pinned
+            );
+            if (groupTabs.length === 0 || groupTabs.every(tab => tab.discarded)) continue;
+            if (groupTabs.some(tab => tab.active || tab.audible)) continue;
+
+            const lastUsed = Math.max(...groupTabs.map(tab => tab.lastAccessed || Date.now()));
+            if (lastUsed > idleSince) continue;
+
+            if (await discardTabs(groupTabs) > 0) {
+                suspendedAny = true;
+            }
+        }
+    }
+
+    if (suspendedAny) {
+        notifyPanels();
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTO_SUSPEND_ALARM) {
+        suspendIdleGroups().catch(error => {
+            console.error('Error auto-suspending groups:', error);
+        });
+    }
+});
+
+/**
+ * Removes a group and its layout from a window and ungroups its tabs
+ */
+function removeGroupFromWindow(windowEntry, groupId, tabGroupMap) {
+    delete windowEntry.groupNames[groupId];
+    delete windowEntry.collapsedGroups[groupId];
+    delete windowEntry.groupColors[groupId];
+    delete windowEntry.groupIcons[groupId];
+    windowEntry.groupOrder = windowEntry.groupOrder.filter(id => id !== groupId);
+
+    // Ungroup tabs that were in this group
+    for (const tabId in tabGroupMap) {
+        if (tabGroupMap[tabId] === groupId) {
+            delete tabGroupMap[tabId];
+        }
+    }
+}
+
+// Tabs that move to another window take their group along: they join the target window's
+// group of the same name, which is created there with the same color and icon if needed.
+// Moves are handled one at a time, so a group whose tabs arrive one by one is created once.
+let windowMoveQueue = Promise.resolve();
+
+/**
+ * Runs a cross-window move after the ones before it; the returned promise settles with the task
+ */
+function enqueueWindowMove(task) {
+    const result = windowMoveQueue.then(task);
+    windowMoveQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Returns the group of the target window that stands for a group of the source window,
+ * creating it with the source group's color, icon and collapsed state if needed
+ */
+function carryGroupToWindow(sourceEntry, groupId, targetEntry) {
+    const groupName = sourceEntry.groupNames[groupId];
+    const isNewGroup = !Object.values(targetEntry.groupNames).includes(groupName);
+    const targetGroupId = findOrCreateNamedGroup(targetEntry, groupName);
+    if (isNewGroup) {
+        if (sourceEntry.groupColors[groupId]) targetEntry.groupColors[targetGroupId] = sourceEntry.groupColors[groupId];
+        if (sourceEntry.groupIcons[groupId]) targetEntry.groupIcons[targetGroupId] = sourceEntry.groupIcons[groupId];
+        if (sourceEntry.collapsedGroups[groupId]) targetEntry.collapsedGroups[targetGroupId] = true;
+    }
+    return targetGroupId;
+}
+
+/**
+ * Finds the window entry, other than the given one, that has a group with this ID
+ */
+function findGroupWindowEntry(windowData, groupId, exceptWindowId) {
+    const windowId = Object.keys(windowData).find(id =>
+        Number(id) !== exceptWindowId && windowData[id].groupNames && windowData[id].groupNames[groupId]
+    );
+    return windowId ? ensureWindowData(windowData, windowId) : null;
+}
+
+/**
+ * Brings a tab that was attached to a window into the matching group there, and drops
+ * tree links to tabs that stayed behind in the old window
+ */
+async function handleTabAttached(tabId, windowId) {
+    const { tabGroupMap, windowData, tabParentMap } = await getState();
+    const targetEntry = ensureWindowData(windowData, windowId);
+    let changed = false;
+
+    const groupId = tabGroupMap[tabId];
+    if (groupId && !targetEntry.groupNames[groupId]) {
+        const sourceEntry = findGroupWindowEntry(windowData, groupId, windowId);
+        if (sourceEntry) {
+            tabGroupMap[tabId] = carryGroupToWindow(sourceEntry, groupId, targetEntry);
+        } else {
+            delete tabGroupMap[tabId];
+        }
+        changed = true;
+    }
+
+    const windowTabIds = new Set((await chrome.tabs.query({ windowId })).map(tab => tab.id));
+    const parentTabId = tabParentMap[tabId];
+    const parentStayed = parentTabId && !windowTabIds.has(parentTabId);
+    if (parentStayed) {
+        delete tabParentMap[tabId];
+        changed = true;
+    }
+    // Children left in the old window move up to the tab's old parent, as when a tab closes
+    for (const childTabId in tabParentMap) {
+        if (tabParentMap[childTabId] === tabId && !windowTabIds.has(Number(childTabId))) {
+            if (parentStayed) {
+                tabParentMap[childTabId] = parentTabId;
+            } else {
+                delete tabParentMap[childTabId];
+            }
+            changed = true;
+        }
+    }
+
+    // Tabs moved by moveTabsToWindow() and other code that sets their group are already in place
+    if (!changed) return;
+    await setState({ tabGroupMap, windowData, tabParentMap });
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+/**
+ * Moves tabs to the end of a window. With a groupId the tabs join that group of the target
+ * window ('ungrouped' for none); without one each tab takes its own group along.
+ */
+async function moveTabsToWindow(tabIds, windowId, groupId) {
+    const { tabGroupMap, windowData } = await getState();
+    const targetEntry = ensureWindowData(windowData, windowId);
+    if (groupId && groupId !== 'ungrouped' && !targetEntry.groupNames[groupId]) {
+        throw new Error('Group not found');
+    }
+
+    const tabs = await Promise.all(tabIds.map(tabId => chrome.tabs.get(tabId)));
+    for (const tab of tabs) {
+        if (groupId === 'ungrouped') {
+            delete tabGroupMap[tab.id];
+        } else if (groupId) {
+            tabGroupMap[tab.id] = groupId;
+        } else if (tab.windowId !== windowId && tabGroupMap[tab.id]) {
+            const sourceEntry = ensureWindowData(windowData, tab.windowId);
+            if (sourceEntry.groupNames[tabGroupMap[tab.id]]) {
+                tabGroupMap[tab.id] = carryGroupToWindow(sourceEntry, tabGroupMap[tab.id], targetEntry);
+            } else {
+                delete tabGroupMap[tab.id];
+            }
+        }
+    }
+    // Store the new groups first, so the attach events find the tabs already in place
+    await setState({ tabGroupMap, windowData });
+
+    const movingTabIds = tabs.filter(tab => tab.windowId !== windowId).map(tab => tab.id);
+    if (movingTabIds.length > 0) {
+        await chrome.tabs.move(movingTabIds, { windowId, index: -1 });
+    }
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+/**
+ * Moves a group with its tabs to another window and returns the group's ID there.
+ * The group joins a group of the same name in the target window, if there is one;
+ * otherwise it is created at groupIndex in the group order, or at the end.
+ * groupTabs can pass the group's tabs when some of them were already moved.
+ */
+async function moveGroupToWindow(sourceWindowId, groupId, windowId, groupIndex, groupTabs = null) {
+    const { tabGroupMap, windowData } = await getState();
+    if (!windowData[sourceWindowId] || !windowData[sourceWindowId].groupNames[groupId]) {
+        throw new Error('Group not found');
+    }
+    const sourceEntry = ensureWindowData(windowData, sourceWindowId);
+    const targetEntry = ensureWindowData(windowData, windowId);
+    const isNewGroup = !Object.values(targetEntry.groupNames).includes(sourceEntry.groupNames[groupId]);
+    const targetGroupId = carryGroupToWindow(sourceEntry, groupId, targetEntry);
+    if (isNewGroup && Number.isInteger(groupIndex)) {
+        targetEntry.groupOrder = targetEntry.groupOrder.filter(id => id !== targetGroupId);
+        targetEntry.groupOrder.splice(Math.max(0, groupIndex), 0, targetGroupId);
+    }
+
+    const tabs = groupTabs || await getGroupTabs(sourceWindowId, groupId);
+    // Only the moved tabs change group, even if the target window uses the same group ID
+    removeGroupFromWindow(sourceEntry, groupId, {});
+    tabs.forEach(tab => {
+        tabGroupMap[tab.id] = targetGroupId;
+    });
+    await setState({ tabGroupMap, windowData });
+
+    if (tabs.length > 0) {
+        await chrome.tabs.move(tabs.map(tab => tab.id), { windowId, index: -1 });
+    }
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+    return targetGroupId;
+}
+
+/**
+ * Moves a group with its tabs into a new window, where it keeps its name, color, icon
+ * and tab order. Returns the new window's ID.
+ */
+async function moveGroupToNewWindow(sourceWindowId, groupId) {
+    const groupTabs = await getGroupTabs(sourceWindowId, groupId);
+    if (groupTabs.length === 0) {
+        throw new Error('The group has no tabs to move');
+    }
+    const newWindow = await chrome.windows.create({ tabId: groupTabs[0].id });
+    await moveGroupToWindow(sourceWindowId, groupId, newWindow.id, undefined, groupTabs);
+    return newWindow.id;
+}
+
+/**
+ * Moves the tabs of every other window into a window. The tabs of each window become one
+ * group there, named after the window's number; pinned tabs stay pinned. Returns the
+ * number of windows merged.
+ */
+async function mergeWindowsIntoGroups(windowId) {
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    const { tabGroupMap, windowData } = await getState();
+    const targetEntry = ensureWindowData(windowData, windowId);
+
+    const tabIdsByWindow = [];
+    windows.forEach((window, i) => {
+        if (window.id === windowId || window.tabs.length === 0) return;
+        let groupName = `Window ${i + 1}`;
+        for (let n = 2; Object.values(targetEntry.groupNames).includes(groupName); n++) {
+            groupName = `Window ${i + 1} (${n})`;
+        }
+        const groupId = findOrCreateNamedGroup(targetEntry, groupName);
+        window.tabs.forEach(tab => {
+            if (tab.pinned) {
+                delete tabGroupMap[tab.id];
+            } else {
+                tabGroupMap[tab.id] = groupId;
+            }
+        });
+        tabIdsByWindow.push(window.tabs.map(tab => tab.id));
+    });
+    // Store the new groups first, so the attach events find the tabs already in place
+    await setState({ tabGroupMap, windowData });
+
+    for (const tabIds of tabIdsByWindow) {
+        await chrome.tabs.move(tabIds, { windowId, index: -1 });
+    }
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+    return tabIdsByWindow.length;
+}
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+    enqueueWindowMove(() => handleTabAttached(tabId, attachInfo.newWindowId)).catch(error => {
+        console.error('Error handling attached tab:', error);
+    });
+});
+
+// Stashed and recently closed groups are kept as records of what is needed to bring a
+// group back: { id, name, color, icon, timestamp, tabs: [{ url, title }] }.
+// Stashes live in chrome.storage.local.stashedGroups and closed groups in
+// chrome.storage.local.closedGroups, both newest first.
+const MAX_CLOSED_GROUPS = 20;
+
+/**
+ * Gets all stashed groups, newest first
+ */
+async function getStashedGroups() {
+    const result = await chrome.storage.local.get(['stashedGroups']);
+    return result.stashedGroups || [];
+}
+
+/**
+ * Gets the recently closed groups, newest first
+ */
+async function getClosedGroups() {
+    const result = await chrome.storage.local.get(['closedGroups']);
+    return result.closedGroups || [];
+}
+
+/**
+ * Builds the record of a group and its reopenable tabs
+ */
+function createGroupRecord(idPrefix, windowEntry, groupId, groupTabs) {
+    return {
+        id: `${idPrefix}-${Date.now()}`,
+        name: windowEntry.groupNames[groupId],
+        color: windowEntry.groupColors[groupId] || null,
+        icon: windowEntry.groupIcons[groupId] || null,
+        timestamp: Date.now(),
+        tabs: groupTabs
+            .map(tab => ({ url: unwrapLazyTabUrl(tab.url || tab.pendingUrl), title: tab.title }))
+            .filter(tab => isRestorableUrl(tab.url))
+    };
+}
+
+/**
+ * Removes a group from its window and closes its tabs
+ */
+async function removeGroupAndCloseTabs(windowId, groupId, groupTabs) {
+    const { windowData, tabGroupMap } = await getState();
+    removeGroupFromWindow(ensureWindowData(windowData, windowId), groupId, tabGroupMap);
+    await setState({ windowData, tabGroupMap });
+    if (groupTabs.length > 0) {
+        await chrome.tabs.remove(groupTabs.map(tab => tab.id));
+    }
+
+    debouncedAutoSave();
+    debouncedNativeSync();
+}
+
+/**
+ * Puts tabs into the window's group with the record's name, creating it with the
+ * record's color and icon if the window has no group of that name. Returns the group ID.
+ */
+async function addTabsToRecordGroup(windowId, record, tabIds) {
+    const { windowData, tabGroupMap } = await getState();
+    const windowEntry = ensureWindowData(windowData, windowId);
+    const isNewGroup = !Object.values(windowEntry.groupNames).includes(record.name);
+    const groupId = findOrCreateNamedGroup(windowEntry, record.name);
+    if (isNewGroup) {
+        if (record.color) windowEntry.groupColors[groupId] = record.color;
+        if (record.icon) windowEntry.groupIcons[groupId] = record.icon;
+    }
+    tabIds.forEach(tabId => {
+        tabGroupMap[tabId] = groupId;
+    });
+    await setState({ windowData, tabGroupMap });
+
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+    return groupId;
+}
+
+/**
+ * Returns a window's group and its tabs, or throws if the group doesn't exist
+ */
+async function getGroupForRemoval(windowId, groupId) {
+    const { windowData } = await getState();
+    const windowEntry = windowData[windowId];
+    if (!windowEntry || !windowEntry.groupNames[groupId]) {
+        throw new Error('Group not found');
+    }
+    return { windowEntry: ensureWindowData(windowData, windowId), groupTabs: await getGroupTabs(windowId, groupId) };
+}
+
+/**
+ * Stores a group's name, color, icon and tabs, then closes its tabs and removes it.
+ * Tabs that can't be reopened from a URL (chrome://, extension pages) are not stored,
+ * so they stay open, ungrouped. Returns the stash and how many tabs were left open.
+ */
+async function stashGroup(windowId, groupId) {
+    const { windowEntry, groupTabs } = await getGroupForRemoval(windowId, groupId);
+    const stash = createGroupRecord('stash', windowEntry, groupId, groupTabs);
+    if (stash.tabs.length === 0) {
+        throw new Error('The group has no tabs that can be reopened later');
+    }
+
+    const stashedTabs = groupTabs.filter(tab => isRestorableUrl(unwrapLazyTabUrl(tab.url || tab.pendingUrl)));
+    const stashes = await getStashedGroups();
+    await chrome.storage.local.set({ stashedGroups: [stash, ...stashes] });
+    await removeGroupAndCloseTabs(windowId, groupId, stashedTabs);
+    return { stash, leftOpenCount: groupTabs.length - stashedTabs.length };
+}
+
+/**
+ * Opens a stash's tabs in a window as a group with the stashed name, then drops the stash.
+ * If the window already has a group with that name, the tabs join it.
+ */
+async function reopenStash(stashId, windowId) {
+    const stashes = await getStashedGroups();
+    const stash = stashes.find(s => s.id === stashId);
+    if (!stash) {
+        throw new Error('Stash not found');
+    }
+
+    const newTabIds = [];
+    for (const tab of stash.tabs) {
+        try {
+            const newTab = await chrome.tabs.create({ windowId, url: tab.url, active: false });
+            markExtensionTabs([newTab.id]);
+            newTabIds.push(newTab.id);
+        } catch (tabError) {
+            console.error('Error reopening stashed tab:', tab.url, tabError);
+        }
+    }
+
+    await chrome.storage.local.set({ stashedGroups: stashes.filter(s => s.id !== stashId) });
+    await addTabsToRecordGroup(windowId, stash, newTabIds);
+}
+
+/**
+ * Closes a group's tabs and removes the group, recording it so it can be reopened
+ */
+async function closeGroup(windowId, groupId) {
+    const { windowEntry, groupTabs } = await getGroupForRemoval(windowId, groupId);
+    const record = createGroupRecord('closed-group', windowEntry, groupId, groupTabs);
+    if (record.tabs.length > 0) {
+        const closedGroups = await getClosedGroups();
+        await chrome.storage.local.set({ closedGroups: [record, ...closedGroups].slice(0, MAX_CLOSED_GROUPS) });
+    }
+    await removeGroupAndCloseTabs(windowId, groupId, groupTabs);
+    return record.tabs.length > 0 ? record : null;
+}
+
+/**
+ * Reopens a closed group's tabs in a window as a group with the same name and returns its ID.
+ * Tabs still in Chrome's recently closed list are restored from it, which brings back their history.
+ */
+async function reopenClosedGroup(closedGroupId, windowId) {
+    const closedGroups = await getClosedGroups();
+    const record = closedGroups.find(g => g.id === closedGroupId);
+    if (!record) {
+        throw new Error('Closed group not found');
+    }
+
+    const recentlyClosed = await chrome.sessions.getRecentlyClosed();
+    const newTabIds = [];
+    for (const tab of record.tabs) {
+        try {
+            const entryIndex = recentlyClosed.findIndex(entry => entry.tab && entry.tab.url === tab.url);
+            let newTab;
+            if (entryIndex !== -1) {
+                const [entry] = recentlyClosed.splice(entryIndex, 1);
+                newTab = (await chrome.sessions.restore(entry.tab.sessionId)).tab;
+                if (newTab.windowId !== windowId) {
+                    newTab = await chrome.tabs.move(newTab.id, { windowId, index: -1 });
+                }
+            } else {
+                newTab = await chrome.tabs.create({ windowId, url: tab.url, active: false });
+            }
+            markExtensionTabs([newTab.id]);
+            newTabIds.push(newTab.id);
+        } catch (tabError) {
+            console.error('Error reopening closed tab:', tab.url, tabError);
+        }
+    }
+    // Keep the record when nothing came back, so the group can still be reopened later
+    if (newTabIds.length === 0) {
+        throw new Error('None of the closed group\'s tabs could be reopened');
+    }
+
+    await chrome.storage.local.set({ closedGroups: closedGroups.filter(g => g.id !== closedGroupId) });
+    return addTabsToRecordGroup(windowId, record, newTabIds);
+}
+
+// Keyboard commands from the manifest's "commands", configurable at chrome://extensions/shortcuts.
+// They act on the active tab's window; "the current group" is the active tab's group.
+const MOVE_TO_GROUP_COMMAND = 'move-to-group-';
+
+// Open side panels keep a port named 'sidepanel:<windowId>' connected, so the toggle command
+// knows without waiting whether to open or close; chrome.sidePanel.open() must be called
+// while the shortcut's user gesture is still active.
+const sidePanelPorts = new Map();
+
+chrome.runtime.onConnect.addListener((port) => {
+    const match = /^sidepanel:(\d+)$/.exec(port.name);
+    if (!match) return;
+    const windowId = Number(match[1]);
+    sidePanelPorts.set(windowId, port);
+    port.onDisconnect.addListener(() => {
+        if (sidePanelPorts.get(windowId) === port) {
+            sidePanelPorts.delete(windowId);
+        }
+    });
+});
+
+/**
+ * Opens the side panel in a window, or asks the open one to close itself
+ */
+function toggleSidePanel(windowId) {
+    const port = sidePanelPorts.get(windowId);
+    if (port) {
+        port.postMessage({ action: 'closeSidePanel' });
+    } else {
+        chrome.sidePanel.open({ windowId }).catch(error => {
+            console.error('Error opening side panel:', error);
+        });
+    }
+}
+
+/**
+ * Returns the group a tab is shown in: its group if the window has it, otherwise 'ungrouped'
+ */
+function getShownGroupId(tabGroupMap, windowEntry, tab) {
+    const groupId = tabGroupMap[tab.id];
+    return !tab.pinned && groupId && windowEntry.groupNames[groupId] ? groupId : 'ungrouped';
+}
+
+/**
+ * Returns a window's groups in panel order, Ungrouped first, each with its unpinned tabs
+ */
+async function getWindowGroups(windowId) {
+    const { tabGroupMap, windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, windowId);
+    const tabs = (await chrome.tabs.query({ windowId })).filter(tab => !tab.pinned);
+    return ['ungrouped', ...normalizeGroupOrder(windowEntry.groupOrder, windowEntry.groupNames)].map(groupId => ({
+        groupId: groupId,
+        tabs: tabs.filter(tab => getShownGroupId(tabGroupMap, windowEntry, tab) === groupId)
+    }));
+}
+
+/**
+ * Activates the most recently used tab of the next (step 1) or previous (step -1) group
+ * that has tabs, wrapping around at the ends
+ */
+async function activateAdjacentGroup(activeTab, step) {
+    const { tabGroupMap, windowData } = await getState();
+    const currentGroupId = activeTab.pinned ? null : getShownGroupId(tabGroupMap, ensureWindowData(windowData, activeTab.windowId), activeTab);
+    const groups = (await getWindowGroups(activeTab.windowId)).filter(group => group.tabs.length > 0);
+    if (groups.length === 0) return;
+
+    const currentIndex = groups.findIndex(group => group.groupId === currentGroupId);
+    const nextIndex = currentIndex === -1
+        ? (step > 0 ? 0 : groups.length - 1)
+        : (currentIndex + step + groups.length) % groups.length;
+    const targetTab = groups[nextIndex].tabs.reduce((best, tab) => (tab.lastAccessed || 0) > (best.lastAccessed || 0) ? tab : best);
+    await chrome.tabs.update(targetTab.id, { active: true });
+}
+
+/**
+ * Puts a tab into a group of its own window
+ */
+async function setTabGroup(tabId, groupId) {
+    const { tabGroupMap } = await getState();
+    if (tabGroupMap[tabId] === groupId) return;
+    tabGroupMap[tabId] = groupId;
+    await setState({ tabGroupMap });
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+/**
+ * Moves a tab into the window's group at a position in the group order, counting from 1
+ */
+async function moveTabToGroupNumber(tab, groupNumber) {
+    if (tab.pinned) return;
+    const { windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, tab.windowId);
+    const groupId = normalizeGroupOrder(windowEntry.groupOrder, windowEntry.groupNames)[groupNumber - 1];
+    if (groupId) {
+        await setTabGroup(tab.id, groupId);
+    }
+}
+
+/**
+ * Opens a new tab right after the last tab of the active tab's group, in that group
+ */
+async function createTabInGroup(activeTab) {
+    const { tabGroupMap, windowData } = await getState();
+    const groupId = getShownGroupId(tabGroupMap, ensureWindowData(windowData, activeTab.windowId), activeTab);
+    if (groupId === 'ungrouped') {
+        await chrome.tabs.create({ windowId: activeTab.windowId });
+        return;
+    }
+
+    const group = (await getWindowGroups(activeTab.windowId)).find(g => g.groupId === groupId);
+    const lastIndex = Math.max(...group.tabs.map(tab => tab.index));
+    const newTab = await chrome.tabs.create({ windowId: activeTab.windowId, index: lastIndex + 1 });
+
+    // Queued with the onCreated assignment: if that runs first this overrides it, otherwise it
+    // finds the tab already grouped and leaves it alone
+    await enqueueTabAssignment(async () => {
+        const state = await getState();
+        state.tabGroupMap[newTab.id] = groupId;
+        await setState({ tabGroupMap: state.tabGroupMap });
+    });
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+/**
+ * Collapses or expands the active tab's group
+ */
+async function toggleActiveGroupCollapsed(activeTab) {
+    const { tabGroupMap, windowData } = await getState();
+    const windowEntry = ensureWindowData(windowData, activeTab.windowId);
+    const groupId = getShownGroupId(tabGroupMap, windowEntry, activeTab);
+    if (groupId === 'ungrouped') return;
+
+    if (windowEntry.collapsedGroups[groupId]) {
+        delete windowEntry.collapsedGroups[groupId];
+    } else {
+        windowEntry.collapsedGroups[groupId] = true;
+    }
+    await setState({ windowData });
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+/**
+ * Closes the active tab's group, recording it so it can be reopened from the side panel
+ */
+async function closeActiveGroup(activeTab) {
+    const { tabGroupMap, windowData } = await getState();
+    const groupId = getShownGroupId(tabGroupMap, ensureWindowData(windowData, activeTab.windowId), activeTab);
+    if (groupId === 'ungrouped') return;
+    await closeGroup(activeTab.windowId, groupId);
+    notifyPanels();
+}
+
+/**
+ * Runs a keyboard command other than the side panel toggle
+ */
+async function handleCommand(command, activeTab) {
+    await ensureStartupReconciled();
+    if (command === 'next-group' || command === 'previous-group') {
+        await activateAdjacentGroup(activeTab, command === 'next-group' ? 1 : -1);
+    } else if (command.startsWith(MOVE_TO_GROUP_COMMAND)) {
+        await moveTabToGroupNumber(activeTab, Number(command.slice(MOVE_TO_GROUP_COMMAND.length)));
+    } else if (command === 'new-tab-in-group') {
+        await createTabInGroup(activeTab);
+    } else if (command === 'toggle-group-collapsed') {
+        await toggleActiveGroupCollapsed(activeTab);
+    } else if (command === 'close-group') {
+        await closeActiveGroup(activeTab);
+    }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    // No tab is passed when the shortcut is pressed outside a browser window
+    if (!tab) return;
+    if (command === 'toggle-side-panel') {
+        toggleSidePanel(tab.windowId);
+        return;
+    }
+    handleCommand(command, tab).catch(error => {
+        console.error('Error running command:', command, error);
+    });
+});
+
+// Omnibox keyword "vt": plain text switches to a matching open tab in any window,
+// "g <name>" jumps to the first tab of a group and "mv <name>" moves the current tab into
+// a group. A suggestion's content names its target: "tab:<tabId>", "g:<windowId>:<groupId>"
+// or "mv:<windowId>:<groupId>"; Enter without picking one uses the first suggestion.
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+const OMNIBOX_TARGET_PATTERN = /^(?:tab:(\d+)|(g|mv):(\d+):(.+))$/;
+
+/**
+ * Splits omnibox input into a command ('tab', 'g' or 'mv') and the text to match
+ */
+function parseOmniboxInput(text) {
+    const match = /^(g|mv)(?:\s+(.*))?$/.exec(text.trim());
+    return match ? { command: match[1], query: match[2] || '' } : { command: 'tab', query: text.trim() };
+}
+
+/**
+ * Checks that every word of the query appears in the text, ignoring case
+ */
+function matchesAllWords(text, query) {
+    const lowerText = text.toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => lowerText.includes(word));
+}
+
+/**
+ * Lists the tabs and groups of every window with their group names and window labels.
+ * Window labels are only given when there is more than one window.
+ */
+async function getOmniboxTargets() {
+    const { tabGroupMap, windowData } = await getState();
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    const tabs = [];
+    const groups = [];
+    windows.forEach((window, i) => {
+        const windowEntry = ensureWindowData(windowData, window.id);
+        const windowLabel = windows.length > 1 ? `Window ${i + 1}` : '';
+        window.tabs.forEach(tab => {
+            const groupId = getShownGroupId(tabGroupMap, windowEntry, tab);
+            const groupName = tab.pinned ? 'Pinned' : (windowEntry.groupNames[groupId] || 'Ungrouped');
+            tabs.push({ tab: tab, groupName: groupName, windowLabel: windowLabel });
+        });
+        normalizeGroupOrder(windowEntry.groupOrder, windowEntry.groupNames).forEach(groupId => {
+            groups.push({
+                windowId: window.id,
+                groupId: groupId,
+                name: windowEntry.groupNames[groupId],
+                windowLabel: windowLabel,
+                tabCount: window.tabs.filter(tab => getShownGroupId(tabGroupMap, windowEntry, tab) === groupId).length
+            });
+        });
+    });
+    return { tabs, groups };
+}
+
+/**
+ * Builds the omnibox suggestions for some input, best matches first
+ */
+async function buildOmniboxSuggestions(text) {
+    const { command, query } = parseOmniboxInput(text);
+    const { tabs, groups } = await getOmniboxTargets();
+
+    if (command === 'tab') {
+        return tabs
+            .filter(({ tab, groupName }) => matchesAllWords(`${tab.title} ${tab.url} ${groupName}`, query))
+            .slice(0, OMNIBOX_MAX_SUGGESTIONS)
+            .map(({ tab, groupName, windowLabel }) => ({
+                content: `tab:${tab.id}`,
+                description: `${escapeHtml(tab.title || tab.url)} <dim>· ${escapeHtml(groupName)}` +
+                    `${windowLabel ? ' · ' + windowLabel : ''}</dim> <url>${escapeHtml(tab.url)}</url>`
+            }));
+    }
+
+    // Groups of the current window come first, which matters most for "mv"
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const currentWindowId = activeTab ? activeTab.windowId : null;
+    return groups
+        .filter(group => matchesAllWords(group.name, query) && (command === 'mv' || group.tabCount > 0))
+        .sort((a, b) => (a.windowId === currentWindowId ? 0 : 1) - (b.windowId === currentWindowId ? 0 : 1))
+        .slice(0, OMNIBOX_MAX_SUGGESTIONS)
+        .map(group => {
+            const details = `${group.tabCount} tab${group.tabCount === 1 ? '' : 's'}${group.windowLabel ? ' · ' + group.windowLabel : ''}`;
+            const action = command === 'g' ? 'Go to group' : 'Move this tab to';
+            return {
+                content: `${command}:${group.windowId}:${group.groupId}`,
+                description: `${action} <match>${escapeHtml(group.name)}</match> <dim>(${details})</dim>`
+            };
+        });
+}
+
+/**
+ * Activates a tab and focuses its window
+ */
+async function switchToTab(tabId) {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Runs the target of an omnibox suggestion, or of the best match for typed text
+ */
+async function handleOmniboxInput(text) {
+    let match = OMNIBOX_TARGET_PATTERN.exec(text);
+    if (!match) {
+        const [bestSuggestion] = await buildOmniboxSuggestions(text);
+        if (!bestSuggestion) return;
+        match = OMNIBOX_TARGET_PATTERN.exec(bestSuggestion.content);
+    }
+
+    if (match[1]) {
+        await switchToTab(Number(match[1]));
+        return;
+    }
+    const command = match[2];
+    const windowId = Number(match[3]);
+    const groupId = match[4];
+    if (command === 'g') {
+        const [firstTab] = await getGroupTabs(windowId, groupId);
+        if (firstTab) {
+            await switchToTab(firstTab.id);
+        }
+        return;
+    }
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!activeTab || activeTab.pinned) return;
+    if (activeTab.windowId === windowId) {
+        await setTabGroup(activeTab.id, groupId);
+    } else {
+        await enqueueWindowMove(() => moveTabsToWindow([activeTab.id], windowId, groupId));
+        await switchToTab(activeTab.id);
+    }
+}
+
+chrome.omnibox.setDefaultSuggestion({
+    description: 'Switch to a tab, or type <match>g</match> &lt;group&gt; to go to a group or <match>mv</match> &lt;group&gt; to move this tab'
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    buildOmniboxSuggestions(text).then(suggest).catch(error => {
+        console.error('Error building omnibox suggestions:', error);
+    });
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+    handleOmniboxInput(text).catch(error => {
+        console.error('Error running omnibox input:', error);
+    });
+});
+
+// Snapshot timeline: immutable copies of the session state taken periodically and kept in
+// chrome.storage.local.snapshots (newest first), separate from the working sessions list.
+// A retention policy keeps the newest snapshot of each of the last N hours, days and weeks.
+const SNAPSHOT_ALARM = 'takeSnapshot';
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_SNAPSHOT_SETTINGS = {
+    enabled: true,
+    intervalMinutes: 60,
+    retention: { hourly: 24, daily: 7, weekly: 4 }
+};
+
+/**
+ * Loads the snapshot settings merged over the defaults
+ */
+async function getSnapshotSettings() {
+    const result = await chrome.storage.local.get(['snapshotSettings']);
+    const settings = result.snapshotSettings || {};
+    return {
+        ...DEFAULT_SNAPSHOT_SETTINGS,
+        ...settings,
+        retention: { ...DEFAULT_SNAPSHOT_SETTINGS.retention, ...(settings.retention || {}) }
+    };
+}
+
+/**
+ * Gets all stored snapshots, newest first
+ */
+async function getStoredSnapshots() {
+    const result = await chrome.storage.local.get(['snapshots']);
+    return result.snapshots || [];
+}
+
+/**
+ * Creates or clears the periodic snapshot alarm to match the settings
+ */
+async function scheduleSnapshotAlarm() {
+    const settings = await getSnapshotSettings();
+    if (settings.enabled) {
+        const existing = await chrome.alarms.get(SNAPSHOT_ALARM);
+        // Keep the running schedule unless the interval changed
+        if (!existing || existing.periodInMinutes !== settings.intervalMinutes) {
+            await chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: settings.intervalMinutes });
+        }
+    } else {
+        await chrome.alarms.clear(SNAPSHOT_ALARM);
+    }
+}
+
+/**
+ * Keeps the newest snapshot of each of the most recent hourly, daily and weekly periods
+ * (in local time) allowed by the retention policy
+ */
+function applySnapshotRetention(snapshots, retention) {
+    const timezoneOffset = new Date().getTimezoneOffset() * 60 * 1000;
+    const periods = [
+        { count: retention.hourly, length: HOUR_MS },
+        { count: retention.daily, length: 24 * HOUR_MS },
+        { count: retention.weekly, length: 7 * 24 * HOUR_MS }
+    ];
+    const keptIds = new Set();
+
+    for (const { count, length } of periods) {
+        const seenPeriods = new Set();
+        for (const snapshot of snapshots) {
+            const period = Math.floor((snapshot.timestamp - timezoneOffset) / length);
+            if (seenPeriods.has(period)) continue;
+            if (seenPeriods.size >= count) break;
+            seenPeriods.add(period);
+            keptIds.add(snapshot.id);
+        }
+    }
+
+    return snapshots.filter(snapshot => keptIds.has(snapshot.id));
+}
+
+/**
+ * Stores a snapshot of the current state, unless nothing changed since the last one
+ */
+async function takeSnapshot() {
+    await ensureStartupReconciled();
+    const sessionState = await collectSessionState();
+    const totalTabs = sessionState.windows.reduce((sum, w) => sum + w.tabs.length, 0);
+    if (totalTabs === 0) return null;
+
+    const snapshots = await getStoredSnapshots();
+    if (snapshots.length > 0 && JSON.stringify(snapshots[0].windows) === JSON.stringify(sessionState.windows)) {
+        return null;
+    }
+
+    const snapshot = {
+        id: `snapshot-${Date.now()}`,
+        timestamp: Date.now(),
+        totalTabs,
+        windowCount: sessionState.windows.length,
+        windows: sessionState.windows,
+        groupNames: sessionState.groupNames
+    };
+    const settings = await getSnapshotSettings();
+    await chrome.storage.local.set({
+        snapshots: applySnapshotRetention([snapshot, ...snapshots], settings.retention)
+    });
+    return snapshot;
+}
+
+/**
+ * Lists the tabs of a session with their group name, for comparing states across restarts
+ * where tab and group IDs differ
+ */
+function listSessionTabs(session) {
+    return session.windows.flatMap(window => window.tabs.map(tab => ({
+        url: tab.url,
+        title: tab.title,
+        group: (window.groupNames || {})[tab.groupId] || ''
+    })));
+}
+
+/**
+ * Compares a snapshot with the current state: tabs and groups that were added or
+ * removed since the snapshot, and tabs whose group changed
+ */
+function diffSessionStates(snapshot, current) {
+    const remaining = listSessionTabs(snapshot);
+    const addedTabs = [];
+    const movedTabs = [];
+
+    for (const tab of listSessionTabs(current)) {
+        // Prefer a copy in the same group, then any copy of the URL
+        let index = remaining.findIndex(old => old.url === tab.url && old.group === tab.group);
+        if (index === -1) {
+            index = remaining.findIndex(old => old.url === tab.url);
+        }
+        if (index === -1) {
+            addedTabs.push(tab);
+            continue;
+        }
+        const [old] = remaining.splice(index, 1);
+        if (old.group !== tab.group) {
+            movedTabs.push({ url: tab.url, title: tab.title, from: old.group, to: tab.group });
+        }
+    }
+
+    const groupsOf = session => new Set(session.windows.flatMap(window => Object.values(window.groupNames || {})));
+    const snapshotGroups = groupsOf(snapshot);
+    const currentGroups = groupsOf(current);
+
+    return {
+        addedTabs,
+        removedTabs: remaining,
+        movedTabs,
+        addedGroups: [...currentGroups].filter(name => !snapshotGroups.has(name)),
+        removedGroups: [...snapshotGroups].filter(name => !currentGroups.has(name))
+    };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SNAPSHOT_ALARM) {
+        takeSnapshot().catch(error => {
+            console.error('Error taking snapshot:', error);
+        });
+    }
+});
+
+// Startup reconciliation: chrome.storage.session is wiped when the browser restarts (or the
+// extension is reloaded), while Chrome reopens the same tabs under new IDs. The first time the
+// service worker runs afterwards, the reopened tabs are matched to the most recent stored
+// session by URL and order, and their groups are rebuilt in place.
+const TAB_SETTLE_INTERVAL_MS = 500;
+const TAB_SETTLE_TIMEOUT_MS = 10000;
+let startupReconcilePromise = null;
+
+/**
+ * Runs the reconciliation once per browser session. Anything that reads or writes groups
+ * or sessions early on awaits this so it cannot overwrite the stored session first.
+ */
+function ensureStartupReconciled() {
+    if (!startupReconcilePromise) {
+        startupReconcilePromise = reconcileAfterRestart().catch(error => {
+            console.error('Error reattaching groups after restart:', error);
+        });
+    }
+    return startupReconcilePromise;
+}
+
+/**
+ * Waits until Chrome has stopped reopening tabs, i.e. the tab count holds steady
+ */
+async function waitForTabsToSettle() {
+    const deadline = Date.now() + TAB_SETTLE_TIMEOUT_MS;
+    let previousCount = -1;
+    while (Date.now() < deadline) {
+        const count = (await chrome.tabs.query({})).length;
+        if (count === previousCount) {
+            return;
+        }
+        previousCount = count;
+        await new Promise(resolve => setTimeout(resolve, TAB_SETTLE_INTERVAL_MS));
+    }
+}
+
+/**
+ * Matches a window's tabs to a stored window's tabs by URL, preferring the stored order.
+ * Returns, for each current tab, the index of its stored tab or -1.
+ */
+function matchSessionTabs(currentTabs, sessionTabs) {
+    const used = new Array(sessionTabs.length).fill(false);
+    let cursor = 0;
+    return currentTabs.map(tab => {
+        const url = unwrapLazyTabUrl(tab.url || tab.pendingUrl);
+        let index = -1;
+        for (let i = cursor; i < sessionTabs.length; i++) {
+            if (!used[i] && sessionTabs[i].url === url) {
+                index = i;
+                break;
+            }
+        }
+        // Fall back to an earlier copy if the tab was moved before the restart
+        if (index === -1) {
+            index = sessionTabs.findIndex((sessionTab, i) => !used[i] && sessionTab.url === url);
+        }
+        if (index !== -1) {
+            used[index] = true;
+            cursor = index + 1;
+        }
+        return index;
+    });
+}
+
+/**
+ * Reattaches the groups of the most recent stored session if the session state was wiped
+ */
+async function reconcileAfterRestart() {
+    const { startupReconciled } = await chrome.storage.session.get(['startupReconciled']);
+    if (startupReconciled) return;
+
+    const [latestSession] = await getStoredSessions();
+    if (latestSession && latestSession.windows && latestSession.windows.length > 0) {
+        await waitForTabsToSettle();
+        await reattachSessionGroups(latestSession);
+    }
+    await chrome.storage.session.set({ startupReconciled: true });
+}
+
+/**
+ * Pairs each open window with the stored window it shares the most tabs with and
+ * rebuilds its groups, layout and tree links without opening anything
+ */
+async function reattachSessionGroups(session) {
+    const { tabGroupMap, windowData, tabParentMap } = await getState();
+    const openWindows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    const usedSessionWindows = new Set();
+
+    for (const window of openWindows) {
+        if (window.incognito) continue;
+        // Windows that already got groups some other way (e.g. native group sync) are left alone
+        if (windowData[window.id] && Object.keys(windowData[window.id].groupNames || {}).length > 0) continue;
+
+        const tabs = window.tabs.slice().sort((a, b) => a.index - b.index);
+        let bestMatch = null;
+        session.windows.forEach((sessionWindow, windowIndex) => {
+            if (usedSessionWindows.has(windowIndex) || !sessionWindow.tabs) return;
+            const matches = matchSessionTabs(tabs, sessionWindow.tabs);
+            const matchCount = matches.filter(index => index !== -1).length;
+            if (matchCount > 0 && (!bestMatch || matchCount > bestMatch.matchCount)) {
+                bestMatch = { windowIndex, matches, matchCount };
+            }
+        });
+        if (!bestMatch) continue;
+
+        usedSessionWindows.add(bestMatch.windowIndex);
+        const sessionWindow = session.windows[bestMatch.windowIndex];
+        applySessionWindowLayout(ensureWindowData(windowData, window.id), sessionWindow);
+
+        const tabIdBySessionIndex = [];
+        bestMatch.matches.forEach((sessionIndex, i) => {
+            if (sessionIndex !== -1) {
+                tabIdBySessionIndex[sessionIndex] = tabs[i].id;
+            }
+        });
+        sessionWindow.tabs.forEach((sessionTab, sessionIndex) => {
+            const tabId = tabIdBySessionIndex[sessionIndex];
+            if (!tabId) return;
+            if (sessionTab.groupId && sessionTab.groupId !== 'ungrouped' && !tabGroupMap[tabId]) {
+                tabGroupMap[tabId] = sessionTab.groupId;
+            }
+            if (sessionTab.parentIndex !== undefined && tabIdBySessionIndex[sessionTab.parentIndex]) {
+                tabParentMap[tabId] = tabIdBySessionIndex[sessionTab.parentIndex];
+            }
+        });
+    }
+
+    if (usedSessionWindows.size === 0) return;
+
+    await setState({ tabGroupMap, windowData, tabParentMap });
+    console.log(`Reattached groups in ${usedSessionWindows.size} window(s) after restart`);
+    debouncedAutoSave();
+    debouncedNativeSync();
+    notifyPanels();
+}
+
+// Removed Chrome context menu - will be replaced with custom context menu in sidepanel
+
+/**
+ * Gives a new tab the group of its opener or left neighbour, or of a matching grouping rule,
+ * and records its opener for tree mode. Returns false for tabs that already have a group.
+ */
+async function assignNewTabGroup(newTab) {
+    await ensureStartupReconciled();
+    const { tabGroupMap, windowData, tabParentMap } = await getState();
+
+    // Reopened tabs already got their group back from the startup reconciliation
+    if (tabGroupMap[newTab.id]) {
+        return false;
+    }
+    let openerGroupId;
+    let parentTabId;
+
+    // For duplicated tabs, openerTabId is set to the ID of the original tab.
+    if (newTab.openerTabId) {
+        // Verify the opener tab is in the same window to prevent cross-window group inheritance
+        try {
+            const openerTab = await chrome.tabs.get(newTab.openerTabId);
+            if (openerTab && openerTab.windowId === newTab.windowId) {
+                openerGroupId = tabGroupMap[newTab.openerTabId];
+                // Remember the opener so tree mode can nest this tab under it
+                parentTabId = newTab.openerTabId;
+            }
+        } catch (error) {
+            console.warn('Could not get opener tab info:', error);
+        }
+    }
+
+    // Fallback for cases like "New Tab to the Right" where openerTabId is not set.
+    // Only inherit from tabs in the same window to prevent cross-window group leakage
+    if (!openerGroupId && newTab.index > 0) {
+        try {
+            const [leftTab] = await chrome.tabs.query({
+                windowId: newTab.windowId,
+                index: newTab.index - 1
+            });
+
+            if (leftTab) {
+                const leftTabGroupId = tabGroupMap[leftTab.id];
+                // Only inherit the group if it exists in the current window's group names
+                // This prevents inheriting group IDs from other windows
+                if (leftTabGroupId && leftTabGroupId !== 'ungrouped') {
+                    const windowGroups = windowData[newTab.windowId] ? windowData[newTab.windowId].groupNames : {};
+                    if (windowGroups[leftTabGroupId]) {
+                        openerGroupId = leftTabGroupId;
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error finding group for new tab:', error);
+        }
+    }
+
+    if (parentTabId) {
+        tabParentMap[newTab.id] = parentTabId;
+    }
+
+    // A matching grouping rule places the tab by URL, ahead of inheritance if the rule says so
+    let ruleGroupId = null;
+    if (!newTab.pinned) {
+        const rule = findMatchingRule(await getGroupingRules(), newTab.pendingUrl || newTab.url);
+        if (rule && (!openerGroupId || rule.overrideOpener)) {
+            ruleGroupId = findOrCreateNamedGroup(ensureWindowData(windowData, newTab.windowId), rule.groupName);
+        }
+    }
+
+    const newGroupId = ruleGroupId || openerGroupId;
+    if (newGroupId) {
+        tabGroupMap[newTab.id] = newGroupId;
+        await setState({ tabGroupMap, windowData, tabParentMap });
+        debouncedNativeSync();
+        if (ruleGroupId) {
+            notifyPanels();
+        }
+    } else if (parentTabId) {
+        await setState({ tabParentMap });
+    }
+    return true;
+}
+
+chrome.tabs.onCreated.addListener(async (newTab) => {
+    if (!extensionTabIds.has(newTab.id)) {
+        freshTabIds.add(newTab.id);
+    }
+    // Queued before anything is awaited, so rules for the tab's first navigation run after it
+    const isNewTab = await enqueueTabAssignment(() => assignNewTabGroup(newTab));
+    if (!isNewTab) {
+        return;
+    }
+
+    // Check if we should create a new session on tab creation
+    // This handles the case where browser was restarted and first tab is created
+    if (await shouldCreateNewSession()) {
+        try {
+            const sessionState = await collectSessionState();
+            await createNewSession(sessionState);
+        } catch (error) {
+            console.error('Error creating new session on tab creation:', error);
+        }
+    }
+    
+    // Auto-save session after tab creation
+    debouncedAutoSave();
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { tabGroupMap, tabParentMap, tabLoadErrors } = await getState();
+    delete tabGroupMap[tabId];
+    delete tabLoadErrors[tabId];
+    freshTabIds.delete(tabId);
+    extensionTabIds.delete(tabId);
+
+    // Promote the closed tab's children to its own parent
+    const grandparentTabId = tabParentMap[tabId];
+    for (const childTabId in tabParentMap) {
+        if (tabParentMap[childTabId] === tabId) {
+            if (grandparentTabId) {
+                tabParentMap[childTabId] = grandparentTabId;
+            } else {
+                delete tabParentMap[childTabId];
+            }
+        }
+    }
+    delete tabParentMap[tabId];
+
+    await setState({ tabGroupMap, tabParentMap, tabLoadErrors });
+    
+    // Auto-save session after tab removal
+    debouncedAutoSave();
+});
+
+// Auto-save on tab updates (URL changes, etc.)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // Only auto-save for meaningful changes like URL or title
+    if (changeInfo.url || changeInfo.title) {
+        debouncedAutoSave();
+    }
+
+    // The tab was grouped or ungrouped in the native tab strip
+    if (changeInfo.groupId !== undefined) {
+        enqueueNativeSync(() => handleNativeTabGroupChanged(tab));
+    }
+
+    if (changeInfo.url) {
+        enqueueTabAssignment(() => applyGroupingRulesOnNavigation(tab)).catch(error => {
+            console.error('Error applying grouping rules:', error);
+        });
+        switchToExistingDuplicate(tab).catch(error => {
+            console.error('Error switching to existing tab:', error);
+        });
+    }
+});
+
+// Auto-save on tab moves
+chrome.tabs.onMoved.addListener(() => {
+    debouncedAutoSave();
+});
+
+// Tab objects carry no error state, so failed page loads are tracked here for the
+// side panel's load-error badge. A new top-level navigation clears the error. Renderer
+// crashes are not covered: Chrome reports them to no extension API.
+chrome.webNavigation.onErrorOccurred.addListener(async (details) => {
+    // ERR_ABORTED is a navigation the user stopped or replaced, not a failure
+    if (details.frameId !== 0 || details.error === 'net::ERR_ABORTED') return;
+    const { tabLoadErrors } = await getState();
+    tabLoadErrors[details.tabId] = details.error;
+    await setState({ tabLoadErrors });
+    notifyPanels();
+});
+
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    const { tabLoadErrors } = await getState();
+    if (!tabLoadErrors[details.tabId]) return;
+    delete tabLoadErrors[details.tabId];
+    await setState({ tabLoadErrors });
+    notifyPanels();
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    (async () => {
+        if (message.action === 'getTabGroupMap') {
+            const { tabGroupMap, windowData, tabParentMap, tabLoadErrors } = await getState();
+            const windowId = message.windowId;
+            if (!windowId) {
+                sendResponse({ tabGroupMap: tabGroupMap, tabParentMap: tabParentMap, tabLoadErrors: tabLoadErrors, groupNames: {}, groupOrder: [], collapsedGroups: {}, groupColors: {}, groupIcons: {} });
+                return;
+            }
+            const windowEntry = windowData[windowId] || {};
+            const windowGroups = windowEntry.groupNames || {};
+            sendResponse({
+                tabGroupMap: tabGroupMap,
+                tabParentMap: tabParentMap,
+                tabLoadErrors: tabLoadErrors,
+                groupNames: windowGroups,
+                groupOrder: normalizeGroupOrder(windowEntry.groupOrder, windowGroups),
+                collapsedGroups: windowEntry.collapsedGroups || {},
+                groupColors: windowEntry.groupColors || {},
+                groupIcons: windowEntry.groupIcons || {}
+            });
+        } else if (message.action === 'updateMultipleTabGroups') {
+            const { tabGroupMap } = await getState();
+            message.tabIds.forEach(tabId => {
+                tabGroupMap[tabId] = message.newGroupId;
+            });
+            await setState({ tabGroupMap });
+            debouncedAutoSave();
+            debouncedNativeSync();
+            sendResponse({ success: true });
+        } else if (message.action === 'setTabParents') {
+            // Re-parents tabs in tree mode; a null parent makes the tab a root
+            const { parents } = message;
+            if (!parents || typeof parents !== 'object') {
+                sendResponse({ success: false, error: 'parents is required' });
+                return;
+            }
+            const { tabParentMap } = await getState();
+            for (const tabId in parents) {
+                const parentTabId = parents[tabId];
+                if (parentTabId && parentTabId !== Number(tabId)) {
+                    tabParentMap[tabId] = parentTabId;
+                } else {
+                    delete tabParentMap[tabId];
+                }
+            }
+            await setState({ tabParentMap });
+            debouncedAutoSave();
+            sendResponse({ success: true });
+        } else if (message.action === 'addTabToNewGroup') {
+            const { tabGroupMap, windowData } = await getState();
+            const { windowId, tabId } = message;
+            if (!windowId) {
+                sendResponse({ success: false, error: 'windowId is required' });
+                return;
+            }
+            const newGroupId = message.groupId || createGroupId();
+            const windowEntry = ensureWindowData(windowData, windowId);
+            const groupName = message.groupName || `Group ${Object.keys(windowEntry.groupNames).length + 1}`;
+            
+            tabGroupMap[tabId] = newGroupId;
+            windowEntry.groupNames[newGroupId] = groupName;
+            if (!windowEntry.groupOrder.includes(newGroupId)) {
+                windowEntry.groupOrder.push(newGroupId);
+            }
+            
+            await setState({ tabGroupMap, windowData });
+            debouncedAutoSave();
+            debouncedNativeSync();
+            
             sendResponse({ success: true, groupId: newGroupId, groupName: groupName });
         } else if (message.action === 'updateGroupName') {
             const { windowId, groupId, groupName } = message;
@@ -380,54 +2355,376 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     windowData[windowId].groupNames[groupId] = groupName;
                     await setState({ windowData });
                     debouncedAutoSave();
+                    debouncedNativeSync();
                     sendResponse({ success: true });
                 } else {
                     sendResponse({ success: false, error: 'Window or group not found.' });
                 }
             } else {
-                sendResponse({ success: false, error: 'Invalid parameters for group name update.' });
+                sendResponse({ success: false, error: 'Invalid parameters for group name update.' });
+            }
+        } else if (message.action === 'createGroup') {
+            const { windowData } = await getState();
+            const { windowId } = message;
+            if (!windowId) {
+                sendResponse({ success: false, error: 'windowId is required' });
+                return;
+            }
+            const newGroupId = message.groupId || createGroupId();
+            const groupName = message.groupName || `New Group`;
+            const windowEntry = ensureWindowData(windowData, windowId);
+            if (!windowEntry.groupNames[newGroupId]) {
+                windowEntry.groupNames[newGroupId] = groupName;
+                windowEntry.groupOrder.push(newGroupId);
+                await setState({ windowData });
+                debouncedAutoSave();
+                sendResponse({ success: true, groupId: newGroupId, groupName: groupName });
+            } else {
+                sendResponse({ success: false, error: 'Group already exists' });
+            }
+        } else if (message.action === 'deleteGroup') {
+            const { windowId, groupId } = message;
+            if (groupId && windowId) {
+                const { windowData, tabGroupMap } = await getState();
+                if (windowData[windowId] && windowData[windowId].groupNames[groupId]) {
+                    removeGroupFromWindow(ensureWindowData(windowData, windowId), groupId, tabGroupMap);
+                    await setState({ windowData, tabGroupMap });
+                    debouncedAutoSave();
+                    debouncedNativeSync();
+                    sendResponse({ success: true });
+                } else {
+                    sendResponse({ success: false, error: 'Group not found' });
+                }
+            } else {
+                sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+            }
+        } else if (message.action === 'updateGroupOrder') {
+            const { windowId, groupOrder } = message;
+            if (!windowId || !Array.isArray(groupOrder)) {
+                sendResponse({ success: false, error: 'windowId and groupOrder are required' });
+                return;
+            }
+            const { windowData } = await getState();
+            const windowEntry = ensureWindowData(windowData, windowId);
+            windowEntry.groupOrder = normalizeGroupOrder(groupOrder, windowEntry.groupNames);
+            await setState({ windowData });
+            debouncedAutoSave();
+            sendResponse({ success: true, groupOrder: windowEntry.groupOrder });
+        } else if (message.action === 'updateGroupCollapsed') {
+            const { windowId, groupId, collapsed } = message;
+            if (!windowId || !groupId) {
+                sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+                return;
+            }
+            const { windowData } = await getState();
+            const windowEntry = ensureWindowData(windowData, windowId);
+            if (!windowEntry.groupNames[groupId]) {
+                sendResponse({ success: false, error: 'Group not found' });
+                return;
+            }
+            if (collapsed) {
+                windowEntry.collapsedGroups[groupId] = true;
+            } else {
+                delete windowEntry.collapsedGroups[groupId];
+            }
+            await setState({ windowData });
+            debouncedAutoSave();
+            debouncedNativeSync();
+            sendResponse({ success: true });
+        } else if (message.action === 'updateGroupAppearance') {
+            // Sets a group's color and/or icon; pass null to clear either one
+            const { windowId, groupId } = message;
+            if (!windowId || !groupId) {
+                sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+                return;
+            }
+            if ('color' in message && message.color !== null && !GROUP_COLORS.includes(message.color)) {
+                sendResponse({ success: false, error: 'Unknown group color' });
+                return;
+            }
+            const { windowData } = await getState();
+            const windowEntry = ensureWindowData(windowData, windowId);
+            if (!windowEntry.groupNames[groupId]) {
+                sendResponse({ success: false, error: 'Group not found' });
+                return;
+            }
+            if ('color' in message) {
+                if (message.color) {
+                    windowEntry.groupColors[groupId] = message.color;
+                } else {
+                    delete windowEntry.groupColors[groupId];
+                }
+            }
+            if ('icon' in message) {
+                const icon = typeof message.icon === 'string' ? truncateGroupIcon(message.icon.trim()) : '';
+                if (icon) {
+                    windowEntry.groupIcons[groupId] = icon;
+                } else {
+                    delete windowEntry.groupIcons[groupId];
+                }
+            }
+            await setState({ windowData });
+            debouncedAutoSave();
+            debouncedNativeSync();
+            // The stored values, as the icon may have been trimmed
+            sendResponse({
+                success: true,
+                color: windowEntry.groupColors[groupId] || null,
+                icon: windowEntry.groupIcons[groupId] || null
+            });
+        } else if (message.action === 'setNativeGroupSync') {
+            const enabled = message.enabled === true;
+            await chrome.storage.local.set({ nativeGroupSync: enabled });
+            if (enabled) {
+                await enqueueNativeSync(syncAllWindowsToNative);
+                notifyPanels();
+            } else {
+                // Drop the links; native groups stay in the tab strip as they are
+                const { windowData } = await getState();
+                for (const windowId in windowData) {
+                    windowData[windowId].nativeGroupIds = {};
+                }
+                await setState({ windowData });
             }
-        } else if (message.action === 'createGroup') {
-            const { windowData } = await getState();
-            const { windowId } = message;
-            if (!windowId) {
-                sendResponse({ success: false, error: 'windowId is required' });
+            sendResponse({ success: true });
+        } else if (message.action === 'suspendGroup') {
+            const { windowId, groupId } = message;
+            if (!windowId || !groupId) {
+                sendResponse({ success: false, error: 'windowId and groupId are required' });
                 return;
             }
-            const newGroupId = message.groupId || `group-${Date.now()}`;
-            const groupName = message.groupName || `New Group`;
-            if (!windowData[windowId]) {
-                windowData[windowId] = { groupNames: {} };
+            const discardedCount = await discardTabs(await getGroupTabs(windowId, groupId));
+            sendResponse({ success: true, discardedCount: discardedCount });
+        } else if (message.action === 'setAutoSuspend') {
+            const minutes = parseInt(message.minutes);
+            if (isNaN(minutes) || minutes < 1) {
+                sendResponse({ success: false, error: 'minutes must be a positive number' });
+                return;
             }
-            if (!windowData[windowId].groupNames[newGroupId]) {
-                windowData[windowId].groupNames[newGroupId] = groupName;
-                await setState({ windowData });
-                debouncedAutoSave();
-                sendResponse({ success: true, groupId: newGroupId, groupName: groupName });
-            } else {
-                sendResponse({ success: false, error: 'Group already exists' });
+            await chrome.storage.local.set({ autoSuspend: { enabled: message.enabled === true, minutes: minutes } });
+            await scheduleAutoSuspendAlarm();
+            sendResponse({ success: true });
+        } else if (message.action === 'moveTabsToWindow') {
+            // Move tabs to another window, into a given group or each with its own group
+            try {
+                const { tabIds, windowId, groupId } = message;
+                if (!Array.isArray(tabIds) || tabIds.length === 0 || !windowId) {
+                    sendResponse({ success: false, error: 'tabIds and windowId are required' });
+                    return;
+                }
+                await enqueueWindowMove(() => moveTabsToWindow(tabIds, windowId, groupId));
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error moving tabs to window:', error);
+                sendResponse({ success: false, error: error.message });
             }
-        } else if (message.action === 'deleteGroup') {
-            const { windowId, groupId } = message;
-            if (groupId && windowId) {
-                const { windowData, tabGroupMap } = await getState();
-                if (windowData[windowId] && windowData[windowId].groupNames[groupId]) {
-                    delete windowData[windowId].groupNames[groupId];
-                    
-                    // Ungroup tabs that were in this group
-                    for (const tabId in tabGroupMap) {
-                        if (tabGroupMap[tabId] === groupId) {
-                            delete tabGroupMap[tabId];
-                        }
+        } else if (message.action === 'moveGroupToWindow') {
+            // Move a group and its tabs to another window
+            try {
+                const { sourceWindowId, groupId, windowId, groupIndex } = message;
+                if (!sourceWindowId || !groupId || !windowId) {
+                    sendResponse({ success: false, error: 'sourceWindowId, groupId and windowId are required' });
+                    return;
+                }
+                const targetGroupId = await enqueueWindowMove(() => moveGroupToWindow(sourceWindowId, groupId, windowId, groupIndex));
+                sendResponse({ success: true, groupId: targetGroupId });
+            } catch (error) {
+                console.error('Error moving group to window:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'moveGroupToNewWindow') {
+            // Split a group off into a window of its own
+            try {
+                const { windowId, groupId } = message;
+                if (!windowId || !groupId) {
+                    sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+                    return;
+                }
+                const newWindowId = await enqueueWindowMove(() => moveGroupToNewWindow(windowId, groupId));
+                sendResponse({ success: true, windowId: newWindowId });
+            } catch (error) {
+                console.error('Error moving group to a new window:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'mergeWindowsIntoGroups') {
+            // Pull every other window into this one, a group per window
+            try {
+                if (!message.windowId) {
+                    sendResponse({ success: false, error: 'windowId is required' });
+                    return;
+                }
+                const mergedWindows = await enqueueWindowMove(() => mergeWindowsIntoGroups(message.windowId));
+                sendResponse({ success: true, mergedWindows: mergedWindows });
+            } catch (error) {
+                console.error('Error merging windows:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'stashGroup') {
+            // Save a group for later and close its tabs
+            try {
+                const { windowId, groupId } = message;
+                if (!windowId || !groupId) {
+                    sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+                    return;
+                }
+                const { stash, leftOpenCount } = await stashGroup(windowId, groupId);
+                sendResponse({ success: true, stashId: stash.id, leftOpenCount });
+            } catch (error) {
+                console.error('Error stashing group:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'closeGroup') {
+            // Close a group's tabs and remember the group so it can be reopened
+            try {
+                const { windowId, groupId } = message;
+                if (!windowId || !groupId) {
+                    sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+                    return;
+                }
+                const record = await closeGroup(windowId, groupId);
+                sendResponse({ success: true, closedGroupId: record ? record.id : null });
+            } catch (error) {
+                console.error('Error closing group:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'reopenClosedGroup') {
+            // Reopen a recently closed group in the given window
+            try {
+                const groupId = await reopenClosedGroup(message.closedGroupId, message.windowId);
+                sendResponse({ success: true, groupId: groupId });
+            } catch (error) {
+                console.error('Error reopening closed group:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'restoreClosedEntry') {
+            // Restore a tab or window from Chrome's recently closed list
+            try {
+                const restored = await chrome.sessions.restore(message.sessionId);
+                markExtensionTabs(restored.tab ? [restored.tab.id] : restored.window.tabs.map(tab => tab.id));
+                sendResponse({ success: true, tabId: restored.tab ? restored.tab.id : null });
+            } catch (error) {
+                console.error('Error restoring closed entry:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'duplicateTabs') {
+            // Duplicate tabs on request, which the duplicate tab policy must leave open
+            try {
+                for (const tabId of message.tabIds) {
+                    const newTab = await chrome.tabs.duplicate(tabId);
+                    markExtensionTabs([newTab.id]);
+                }
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error duplicating tabs:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'reopenStash') {
+            // Reopen a stashed group in the given window
+            try {
+                await reopenStash(message.stashId, message.windowId);
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error reopening stash:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'renameStash') {
+            const name = typeof message.name === 'string' ? message.name.trim() : '';
+            const stashes = await getStashedGroups();
+            const stash = stashes.find(s => s.id === message.stashId);
+            if (!stash || !name) {
+                sendResponse({ success: false, error: stash ? 'Name is required' : 'Stash not found' });
+                return;
+            }
+            stash.name = name;
+            await chrome.storage.local.set({ stashedGroups: stashes });
+            sendResponse({ success: true });
+        } else if (message.action === 'discardStash') {
+            const stashes = await getStashedGroups();
+            await chrome.storage.local.set({ stashedGroups: stashes.filter(s => s.id !== message.stashId) });
+            sendResponse({ success: true });
+        } else if (message.action === 'getSnapshots') {
+            // Get snapshot summaries for the timeline, newest first
+            try {
+                const snapshots = await getStoredSnapshots();
+                sendResponse({
+                    success: true,
+                    settings: await getSnapshotSettings(),
+                    snapshots: snapshots.map(snapshot => ({
+                        id: snapshot.id,
+                        timestamp: snapshot.timestamp,
+                        totalTabs: snapshot.totalTabs,
+                        windowCount: snapshot.windowCount
+                    }))
+                });
+            } catch (error) {
+                console.error('Error getting snapshots:', error);
+                sendResponse({ success: false, error: 'Failed to get snapshots' });
+            }
+        } else if (message.action === 'takeSnapshot') {
+            // Take a snapshot right away
+            try {
+                const snapshot = await takeSnapshot();
+                sendResponse({ success: true, taken: snapshot !== null });
+            } catch (error) {
+                console.error('Error taking snapshot:', error);
+                sendResponse({ success: false, error: 'Failed to take snapshot' });
+            }
+        } else if (message.action === 'updateSnapshotSettings') {
+            // Update the snapshot interval and retention policy
+            const { settings } = message;
+            if (!settings || !settings.retention) {
+                sendResponse({ success: false, error: 'Invalid snapshot settings' });
+                return;
+            }
+            const { hourly, daily, weekly } = settings.retention;
+            if ([settings.intervalMinutes, hourly, daily, weekly].some(value => !Number.isInteger(value) || value < 0) ||
+                settings.intervalMinutes < 1 || hourly + daily + weekly === 0) {
+                sendResponse({ success: false, error: 'Use whole numbers, an interval of at least 1 minute and keep at least one snapshot' });
+                return;
+            }
+            await chrome.storage.local.set({
+                snapshotSettings: {
+                    enabled: settings.enabled === true,
+                    intervalMinutes: settings.intervalMinutes,
+                    retention: {
+                        hourly: settings.retention.hourly,
+                        daily: settings.retention.daily,
+                        weekly: settings.retention.weekly
                     }
-                    await setState({ windowData, tabGroupMap });
-                    debouncedAutoSave();
-                    sendResponse({ success: true });
-                } else {
-                    sendResponse({ success: false, error: 'Group not found' });
                 }
-            } else {
-                sendResponse({ success: false, error: 'Group ID and Window ID are required' });
+            });
+            await scheduleSnapshotAlarm();
+
+            // A stricter policy applies to the stored snapshots right away
+            const snapshots = await getStoredSnapshots();
+            await chrome.storage.local.set({ snapshots: applySnapshotRetention(snapshots, settings.retention) });
+            sendResponse({ success: true });
+        } else if (message.action === 'restoreSnapshot') {
+            // Restore a snapshot with the chosen restore mode
+            try {
+                const snapshot = (await getStoredSnapshots()).find(s => s.id === message.snapshotId);
+                if (!snapshot) {
+                    sendResponse({ success: false, error: 'Snapshot not found' });
+                    return;
+                }
+                const skippedTabs = await restoreSession(snapshot, getRestoreOptions(message));
+                sendResponse({ success: true, skippedTabs });
+            } catch (error) {
+                console.error('Error restoring snapshot:', error);
+                sendResponse({ success: false, error: 'Failed to restore snapshot' });
+            }
+        } else if (message.action === 'diffSnapshot') {
+            // Compare a snapshot with the current state
+            try {
+                const snapshot = (await getStoredSnapshots()).find(s => s.id === message.snapshotId);
+                if (!snapshot) {
+                    sendResponse({ success: false, error: 'Snapshot not found' });
+                    return;
+                }
+                sendResponse({ success: true, diff: diffSessionStates(snapshot, await collectSessionState()) });
+            } catch (error) {
+                console.error('Error comparing snapshot:', error);
+                sendResponse({ success: false, error: 'Failed to compare snapshot' });
             }
         } else if (message.action === 'saveSession') {
             // Manual save session (updates current session, doesn't create new one)
@@ -446,6 +2743,78 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 console.error('Error saving session:', error);
                 sendResponse({ success: false, error: 'Failed to save session' });
             }
+        } else if (message.action === 'saveSessionAsNew') {
+            // Save the current state as an additional session instead of updating the current one
+            try {
+                const sessionState = await collectSessionState();
+                const totalTabs = sessionState.windows.reduce((sum, w) => sum + w.tabs.length, 0);
+
+                if (totalTabs === 0) {
+                    sendResponse({ success: false, error: 'No restorable tabs to save' });
+                    return;
+                }
+
+                const name = typeof message.name === 'string' ? message.name.trim() : '';
+                const session = await saveSessionAsNew(sessionState, name);
+                sendResponse({ success: true, sessionId: session.id });
+            } catch (error) {
+                console.error('Error saving new session:', error);
+                sendResponse({ success: false, error: 'Failed to save session' });
+            }
+        } else if (message.action === 'renameSession') {
+            // Set or clear a session's name
+            try {
+                const name = typeof message.name === 'string' ? message.name.trim() : '';
+                await updateStoredSession(message.sessionId, { name });
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error renaming session:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'setSessionPinned') {
+            // Pin a session so it is never trimmed or overwritten, or unpin it
+            try {
+                if (message.pinned) {
+                    const config = await getSessionConfig();
+                    const pinnedCount = (await getStoredSessions()).filter(s => s.pinned).length;
+                    if (pinnedCount >= config.maxPinnedSessions) {
+                        sendResponse({ success: false, error: `You can pin up to ${config.maxPinnedSessions} sessions` });
+                        return;
+                    }
+                }
+                await updateStoredSession(message.sessionId, { pinned: message.pinned === true });
+
+                // An unpinned session counts against the unpinned cap again
+                if (!message.pinned) {
+                    const config = await getSessionConfig();
+                    await chrome.storage.local.set({ sessions: trimSessions(await getStoredSessions(), config) });
+                }
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error pinning session:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        } else if (message.action === 'deleteSession') {
+            // Delete a single stored session
+            try {
+                const sessions = await getStoredSessions();
+                const index = sessions.findIndex(s => s.id === message.sessionId);
+                if (index === -1) {
+                    sendResponse({ success: false, error: 'Selected session not found' });
+                    return;
+                }
+                if (index === 0 && !sessions[0].pinned) {
+                    // Auto-save would recreate it right away, and the next older session would be overwritten instead
+                    sendResponse({ success: false, error: 'The current session is kept up to date automatically and cannot be deleted' });
+                    return;
+                }
+                sessions.splice(index, 1);
+                await chrome.storage.local.set({ sessions });
+                sendResponse({ success: true });
+            } catch (error) {
+                console.error('Error deleting session:', error);
+                sendResponse({ success: false, error: 'Failed to delete session' });
+            }
         } else if (message.action === 'restoreSession') {
             // Restore selected session
             try {
@@ -469,12 +2838,51 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     sessionToRestore = sessions[0];
                 }
                 
-                await restoreSession(sessionToRestore);
-                sendResponse({ success: true, message: 'Session restored successfully' });
+                const skippedTabs = await restoreSession(sessionToRestore, getRestoreOptions(message));
+                sendResponse({ success: true, message: 'Session restored successfully', skippedTabs });
             } catch (error) {
                 console.error('Error restoring session:', error);
                 sendResponse({ success: false, error: 'Failed to restore session' });
             }
+        } else if (message.action === 'getSessionDetails') {
+            // Get one session's windows, groups and tabs for the preview
+            try {
+                const session = (await getStoredSessions()).find(s => s.id === message.sessionId);
+                if (!session) {
+                    sendResponse({ success: false, error: 'Selected session not found' });
+                    return;
+                }
+                sendResponse({ success: true, session });
+            } catch (error) {
+                console.error('Error getting session details:', error);
+                sendResponse({ success: false, error: 'Failed to get session details' });
+            }
+        } else if (message.action === 'restoreSessionSelection') {
+            // Restore part of a session: a window, a group or a set of tabs
+            try {
+                const { sessionId, selection } = message;
+                const session = (await getStoredSessions()).find(s => s.id === sessionId);
+                if (!session) {
+                    sendResponse({ success: false, error: 'Selected session not found' });
+                    return;
+                }
+                if (!Array.isArray(selection)) {
+                    sendResponse({ success: false, error: 'Invalid selection' });
+                    return;
+                }
+
+                const partialSession = buildPartialSession(session, selection);
+                if (partialSession.windows.length === 0) {
+                    sendResponse({ success: false, error: 'No tabs selected' });
+                    return;
+                }
+
+                const skippedTabs = await restoreSession(partialSession, getRestoreOptions(message));
+                sendResponse({ success: true, message: 'Selection restored successfully', skippedTabs });
+            } catch (error) {
+                console.error('Error restoring selection:', error);
+                sendResponse({ success: false, error: 'Failed to restore selection' });
+            }
         } else if (message.action === 'getStoredSessions') {
             // Get information about all stored sessions
             try {
@@ -485,13 +2893,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         id: session.id,
                         timestamp: session.timestamp,
                         totalTabs: session.totalTabs,
-                        windowCount: session.windowCount
+                        windowCount: session.windowCount,
+                        name: session.name || '',
+                        pinned: session.pinned === true
                     }))
                 });
             } catch (error) {
                 console.error('Error getting stored sessions:', error);
                 sendResponse({ success: false, error: 'Failed to get session info' });
             }
+        } else if (message.action === 'exportSessions') {
+            // Get full session data for export, either the given sessions or all of them
+            try {
+                const sessions = await getStoredSessions();
+                const { sessionIds } = message;
+                const selected = sessionIds ? sessions.filter(session => sessionIds.includes(session.id)) : sessions;
+                if (selected.length === 0) {
+                    sendResponse({ success: false, error: 'No sessions to export' });
+                    return;
+                }
+                sendResponse({ success: true, sessions: selected });
+            } catch (error) {
+                console.error('Error exporting sessions:', error);
+                sendResponse({ success: false, error: 'Failed to export sessions' });
+            }
+        } else if (message.action === 'importSessions') {
+            // Add sessions parsed from an export file to the sessions list
+            try {
+                if (!Array.isArray(message.sessions) || message.sessions.length === 0) {
+                    sendResponse({ success: false, error: 'No sessions to import' });
+                    return;
+                }
+                const result = await importSessions(message.sessions, message.allowEviction === true);
+                if (result.needsConfirmation) {
+                    sendResponse({ success: false, ...result });
+                } else {
+                    sendResponse({ success: true, count: result.keptCount, skippedCount: result.skippedCount });
+                }
+            } catch (error) {
+                console.error('Error importing sessions:', error);
+                sendResponse({ success: false, error: error.message || 'Failed to import sessions' });
+            }
         } else if (message.action === 'getSessionConfig') {
             // Get session configuration
             try {
@@ -504,13 +2946,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         } else if (message.action === 'updateSessionConfig') {
             // Update session configuration
             try {
-                const { config } = message;
+                const config = { ...(await getSessionConfig()), ...message.config };
                 await chrome.storage.local.set({ sessionConfig: config });
                 
-                // Trim sessions if max count was reduced
+                // Trim unpinned sessions if max count was reduced; pinned sessions are never trimmed
                 const sessions = await getStoredSessions();
-                if (sessions.length > config.maxSessions) {
-                    const trimmedSessions = sessions.slice(0, config.maxSessions);
+                const trimmedSessions = trimSessions(sessions, config);
+                if (trimmedSessions.length < sessions.length) {
                     await chrome.storage.local.set({ sessions: trimmedSessions });
                 }
                 
@@ -525,80 +2967,287 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Restores a saved session by creating new windows and tabs
+ * Copies a saved window's groups and their layout into a live window's entry
+ */
+function applySessionWindowLayout(windowEntry, sessionWindow) {
+    // Only use window-specific group names to ensure proper isolation between windows
+    windowEntry.groupNames = { ...(sessionWindow.groupNames || {}) };
+    // Sessions saved before group order was tracked fall back to name order
+    windowEntry.groupOrder = normalizeGroupOrder(sessionWindow.groupOrder, windowEntry.groupNames);
+    windowEntry.collapsedGroups = { ...(sessionWindow.collapsedGroups || {}) };
+    windowEntry.groupColors = { ...(sessionWindow.groupColors || {}) };
+    windowEntry.groupIcons = { ...(sessionWindow.groupIcons || {}) };
+}
+
+/**
+ * Keeps only the entries of a per-group map (names, colors, ...) for the given groups
+ */
+function pickGroupEntries(map, groupIds) {
+    return Object.fromEntries(Object.entries(map || {}).filter(([groupId]) => groupIds.has(groupId)));
+}
+
+/**
+ * Builds a session containing only the selected tabs, given as
+ * [{ windowIndex, tabIndexes }], with tree links and groups narrowed to match
+ */
+function buildPartialSession(session, selection) {
+    const windows = selection.map(({ windowIndex, tabIndexes }) => {
+        const sessionWindow = session.windows[windowIndex];
+        if (!sessionWindow || !Array.isArray(tabIndexes)) return null;
+
+        const pickedIndexes = [...new Set(tabIndexes)]
+            .filter(index => Number.isInteger(index) && sessionWindow.tabs[index])
+            .sort((a, b) => a - b);
+        const newIndexByOld = new Map(pickedIndexes.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+        const tabs = pickedIndexes.map(oldIndex => {
+            const { parentIndex, ...tab } = sessionWindow.tabs[oldIndex];
+            // Children whose parent wasn't picked become top-level tabs
+            if (newIndexByOld.has(parentIndex)) {
+                tab.parentIndex = newIndexByOld.get(parentIndex);
+            }
+            return tab;
+        });
+
+        const usedGroupIds = new Set(tabs.map(tab => tab.groupId));
+        return {
+            ...sessionWindow,
+            tabs,
+            groupNames: pickGroupEntries(sessionWindow.groupNames, usedGroupIds),
+            groupOrder: (sessionWindow.groupOrder || []).filter(groupId => usedGroupIds.has(groupId)),
+            collapsedGroups: pickGroupEntries(sessionWindow.collapsedGroups, usedGroupIds),
+            groupColors: pickGroupEntries(sessionWindow.groupColors, usedGroupIds),
+            groupIcons: pickGroupEntries(sessionWindow.groupIcons, usedGroupIds)
+        };
+    }).filter(window => window && window.tabs.length > 0);
+
+    return { ...session, windows };
+}
+
+/**
+ * Reads the restore mode from a restore message
+ */
+function getRestoreOptions(message) {
+    return {
+        targetWindowId: Number.isInteger(message.targetWindowId) ? message.targetWindowId : null,
+        lazy: message.lazy === true
+    };
+}
+
+/**
+ * Sends restore progress to the popup, which may have been closed in the meantime
+ */
+function reportRestoreProgress(done, total) {
+    chrome.runtime.sendMessage({ action: 'restoreProgress', done, total }).catch(() => {
+        // The popup is closed
+    });
+}
+
+/**
+ * Returns the URL to open for a saved tab, wrapped in a placeholder in lazy mode
+ */
+function getRestoreUrl(tab, lazy) {
+    const url = tab.url || 'about:blank';
+    return lazy && isRestorableUrl(url) ? getLazyTabUrl(url, tab.title) : url;
+}
+
+/**
+ * Restores a saved session by creating new windows and tabs.
+ * Options: targetWindowId merges the session into that window instead of opening
+ * new ones, and lazy opens placeholders that only load when activated.
+ * Returns the number of tabs that were skipped because they were already open.
  */
-async function restoreSession(session) {
+async function restoreSession(session, options = {}) {
     if (!session || !session.windows || session.windows.length === 0) {
         throw new Error('No valid session data to restore');
     }
     
     // Get current state
-    const { tabGroupMap, windowData: currentWindowData } = await getState();
+    const state = await getState();
+    const { tabGroupMap, windowData: currentWindowData, tabParentMap } = state;
+
+    const totalTabs = session.windows.reduce((sum, w) => sum + (w.tabs ? w.tabs.length : 0), 0);
+    let doneTabs = 0;
+    const tabDone = () => reportRestoreProgress(++doneTabs, totalTabs);
+    reportRestoreProgress(0, totalTabs);
+
+    let skippedTabs = 0;
+    if (options.targetWindowId) {
+        skippedTabs = await mergeSessionIntoWindow(session, options.targetWindowId, state, options.lazy, tabDone);
+    } else {
+        for (const windowData of session.windows) {
+            await restoreSessionWindow(windowData, state, options.lazy, tabDone);
+        }
+    }
     
-    for (const windowData of session.windows) {
-        // Skip empty windows
-        if (!windowData.tabs || windowData.tabs.length === 0) {
-            continue;
+    // Save the updated state after all windows are processed
+    await setState({ tabGroupMap, windowData: currentWindowData, tabParentMap });
+    debouncedNativeSync();
+    return skippedTabs;
+}
+
+/**
+ * Opens one saved window as a new browser window with its groups and tree links
+ */
+async function restoreSessionWindow(windowData, state, lazy, tabDone) {
+    const { tabGroupMap, windowData: currentWindowData, tabParentMap } = state;
+
+    // Skip empty windows
+    if (!windowData.tabs || windowData.tabs.length === 0) {
+        return;
+    }
+    
+    try {
+        // Create new window with the first tab
+        const firstTab = windowData.tabs[0];
+        
+        const newWindow = await chrome.windows.create({
+            url: getRestoreUrl(firstTab, lazy),
+            state: 'maximized'
+        });
+        
+        const newWindowId = newWindow.id;
+        const firstTabId = newWindow.tabs[0].id;
+        markExtensionTabs([firstTabId]);
+        // New tab IDs by position in the saved window, used to relink tree parents
+        const newTabIds = [firstTabId];
+        tabDone();
+        
+        // Set up group names for this window - only use window-specific group names
+        applySessionWindowLayout(ensureWindowData(currentWindowData, newWindowId), windowData);
+        
+        // Set group for first tab
+        if (firstTab.groupId && firstTab.groupId !== 'ungrouped') {
+            tabGroupMap[firstTabId] = firstTab.groupId;
         }
         
-        try {
-            // Create new window with the first tab
-            const firstTab = windowData.tabs[0];
+        // Create remaining tabs in the window
+        for (let i = 1; i < windowData.tabs.length; i++) {
+            const tab = windowData.tabs[i];
             
-            const newWindow = await chrome.windows.create({
-                url: firstTab.url || 'about:blank',
-                state: 'maximized'
-            });
-            
-            const newWindowId = newWindow.id;
-            const firstTabId = newWindow.tabs[0].id;
-            
-            // Set up group names for this window - only use window-specific group names
-            if (!currentWindowData[newWindowId]) {
-                currentWindowData[newWindowId] = { groupNames: {} };
+            try {
+                const newTab = await chrome.tabs.create({
+                    windowId: newWindowId,
+                    url: getRestoreUrl(tab, lazy),
+                    pinned: tab.pinned || false,
+                    active: false
+                });
+                markExtensionTabs([newTab.id]);
+                
+                newTabIds[i] = newTab.id;
+                
+                // Set group for new tab
+                if (tab.groupId && tab.groupId !== 'ungrouped') {
+                    tabGroupMap[newTab.id] = tab.groupId;
+                }
+            } catch (tabError) {
+                console.error('Error creating tab:', tab.url, tabError);
+                // Continue with other tabs even if one fails
             }
-            
-            // Only use window-specific group names to ensure proper isolation between windows
-            const windowGroupNames = windowData.groupNames || {};
-            currentWindowData[newWindowId].groupNames = { ...windowGroupNames };
-            
-            // Set group for first tab
-            if (firstTab.groupId && firstTab.groupId !== 'ungrouped') {
-                tabGroupMap[firstTabId] = firstTab.groupId;
+            tabDone();
+        }
+        
+        relinkRestoredParents(windowData.tabs, newTabIds, tabParentMap);
+        
+    } catch (windowError) {
+        console.error('Error restoring window:', windowError);
+        // Continue with other windows even if one fails
+    }
+}
+
+/**
+ * Adds a session's tabs to an existing window, skipping URLs that are already open.
+ * Saved groups join the window's group of the same name, or are created with their
+ * saved color and icon. Returns the number of skipped tabs.
+ */
+async function mergeSessionIntoWindow(session, targetWindowId, state, lazy, tabDone) {
+    const { tabGroupMap, windowData: currentWindowData, tabParentMap } = state;
+    const windowEntry = ensureWindowData(currentWindowData, targetWindowId);
+
+    const openTabs = await chrome.tabs.query({});
+    const openUrls = new Set(openTabs.map(tab => unwrapLazyTabUrl(tab.url || tab.pendingUrl)));
+    let skippedTabs = 0;
+
+    for (const sessionWindow of session.windows) {
+        const tabs = sessionWindow.tabs || [];
+        const sessionGroupNames = sessionWindow.groupNames || {};
+        // Saved group ID -> group ID in the target window
+        const mergedGroupIds = {};
+        const newTabIds = [];
+
+        for (let i = 0; i < tabs.length; i++) {
+            const tab = tabs[i];
+            if (openUrls.has(tab.url)) {
+                skippedTabs++;
+                tabDone();
+                continue;
             }
-            
-            // Create remaining tabs in the window
-            for (let i = 1; i < windowData.tabs.length; i++) {
-                const tab = windowData.tabs[i];
-                
-                try {
-                    const newTab = await chrome.tabs.create({
-                        windowId: newWindowId,
-                        url: tab.url || 'about:blank',
-                        pinned: tab.pinned || false
-                    });
-                    
-                    // Set group for new tab
-                    if (tab.groupId && tab.groupId !== 'ungrouped') {
-                        tabGroupMap[newTab.id] = tab.groupId;
+            openUrls.add(tab.url);
+
+            try {
+                const newTab = await chrome.tabs.create({
+                    windowId: targetWindowId,
+                    url: getRestoreUrl(tab, lazy),
+                    pinned: tab.pinned || false,
+                    active: false
+                });
+                markExtensionTabs([newTab.id]);
+                newTabIds[i] = newTab.id;
+
+                if (sessionGroupNames[tab.groupId]) {
+                    if (!mergedGroupIds[tab.groupId]) {
+                        mergedGroupIds[tab.groupId] = mergeSessionGroup(windowEntry, sessionWindow, tab.groupId);
                     }
-                } catch (tabError) {
-                    console.error('Error creating tab:', tab.url, tabError);
-                    // Continue with other tabs even if one fails
+                    tabGroupMap[newTab.id] = mergedGroupIds[tab.groupId];
                 }
+            } catch (tabError) {
+                console.error('Error creating tab:', tab.url, tabError);
             }
-            
-        } catch (windowError) {
-            console.error('Error restoring window:', windowError);
-            // Continue with other windows even if one fails
+            tabDone();
         }
+
+        relinkRestoredParents(tabs, newTabIds, tabParentMap);
     }
-    
-    // Save the updated state after all windows are processed
-    await setState({ tabGroupMap, windowData: currentWindowData });
+
+    return skippedTabs;
+}
+
+/**
+ * Returns the window's group with the saved group's name, or creates it with the saved color and icon
+ */
+function mergeSessionGroup(windowEntry, sessionWindow, sessionGroupId) {
+    const groupName = sessionWindow.groupNames[sessionGroupId];
+    const isNewGroup = !Object.values(windowEntry.groupNames).includes(groupName);
+    const groupId = findOrCreateNamedGroup(windowEntry, groupName);
+    if (isNewGroup) {
+        const savedColor = (sessionWindow.groupColors || {})[sessionGroupId];
+        const savedIcon = (sessionWindow.groupIcons || {})[sessionGroupId];
+        if (savedColor) windowEntry.groupColors[groupId] = savedColor;
+        if (savedIcon) windowEntry.groupIcons[groupId] = savedIcon;
+    }
+    return groupId;
+}
+
+/**
+ * Relinks tree parents once every restored tab of a saved window has its new ID
+ */
+function relinkRestoredParents(sessionTabs, newTabIds, tabParentMap) {
+    sessionTabs.forEach((tab, i) => {
+        if (tab.parentIndex !== undefined && newTabIds[i] && newTabIds[tab.parentIndex]) {
+            tabParentMap[newTabIds[i]] = newTabIds[tab.parentIndex];
+        }
+    });
 }
 
 // Run migration on startup
 chrome.runtime.onStartup.addListener(migrateFromOldStorage);
 chrome.runtime.onInstalled.addListener(migrateFromOldStorage);
 
+// Alarms are not guaranteed to survive a browser restart or an update
+chrome.runtime.onStartup.addListener(scheduleAutoSuspendAlarm);
+chrome.runtime.onInstalled.addListener(scheduleAutoSuspendAlarm);
+chrome.runtime.onStartup.addListener(scheduleSnapshotAlarm);
+chrome.runtime.onInstalled.addListener(scheduleSnapshotAlarm);
+
+// Reattach groups to reopened tabs (a no-op once done for this browser session)
+ensureStartupReconciled();
+
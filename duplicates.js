@@ -0,0 +1,41 @@
+/*
+ * Duplicate tab detection shared by the side panel, the popup and the background script.
+ * Loaded with a <script> tag in sidepanel.html and popup.html, and importScripts() in background.js.
+ */
+
+// Defaults for chrome.storage.local.duplicateSettings
+const DEFAULT_DUPLICATE_SETTINGS = {
+  ignoreHash: true,
+  ignoreQuery: false,
+  ignoreTrailingSlash: true,
+  switchToExisting: false
+};
+
+/**
+ * Normalizes a tab URL for duplicate comparison according to the settings.
+ * Returns null for URLs that are never treated as duplicates (new tab pages, chrome:// pages, etc.).
+ */
+function normalizeTabUrl(url, settings) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:', 'file:', 'ftp:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  if (settings.ignoreHash) {
+    parsed.hash = '';
+  }
+  if (settings.ignoreQuery) {
+    parsed.search = '';
+  }
+  if (settings.ignoreTrailingSlash && parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+  return parsed.href;
+}
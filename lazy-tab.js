@@ -0,0 +1,46 @@
+/*
+ * Placeholder for a tab restored in lazy mode. It shows the saved title and favicon
+ * and only navigates to the real URL once the tab is activated (becomes visible).
+ */
+
+const params = new URLSearchParams(location.search);
+const targetUrl = params.get('url');
+const targetTitle = params.get('title') || targetUrl;
+
+/**
+ * Replaces the placeholder with the real page, keeping it out of the tab's history
+ */
+function loadTarget() {
+  if (targetUrl) {
+    location.replace(targetUrl);
+  }
+}
+
+document.title = targetTitle;
+document.getElementById('lazy-tab-title').textContent = targetTitle;
+const link = document.getElementById('lazy-tab-link');
+link.textContent = targetUrl;
+link.href = targetUrl;
+
+if (targetUrl) {
+  const icon = new URL(chrome.runtime.getURL('/_favicon/'));
+  icon.searchParams.set('pageUrl', targetUrl);
+  icon.searchParams.set('size', '16');
+  document.getElementById('lazy-tab-icon').href = icon.toString();
+}
+
+chrome.storage.local.get('theme', (result) => {
+  if (result.theme === 'dark') {
+    document.body.classList.add('dark-mode');
+  }
+});
+
+if (document.visibilityState === 'visible') {
+  loadTarget();
+} else {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      loadTarget();
+    }
+  });
+}
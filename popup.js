@@ -6,9 +6,57 @@ document.addEventListener('DOMContentLoaded', () => {
   const sessionSelect = document.getElementById('session-select');
   const sessionInfo = document.getElementById('session-info');
   const maxSessionsInput = document.getElementById('max-sessions');
+  const maxPinnedSessionsInput = document.getElementById('max-pinned-sessions');
+  const sessionNameInput = document.getElementById('session-name-input');
+  const saveNewSessionBtn = document.getElementById('save-new-session-btn');
+  const renameSessionBtn = document.getElementById('rename-session-btn');
+  const pinSessionBtn = document.getElementById('pin-session-btn');
+  const deleteSessionBtn = document.getElementById('delete-session-btn');
+  const previewSessionBtn = document.getElementById('preview-session-btn');
+  const sessionPreview = document.getElementById('session-preview');
+  const restoreTargetRadios = document.querySelectorAll('input[name="restore-target"]');
+  const restoreLazyCheckbox = document.getElementById('restore-lazy');
+  const restoreProgress = document.getElementById('restore-progress');
+  const restoreProgressBar = document.getElementById('restore-progress-bar');
+  const restoreProgressText = document.getElementById('restore-progress-text');
+  const snapshotsEnabledCheckbox = document.getElementById('snapshots-enabled');
+  const snapshotIntervalInput = document.getElementById('snapshot-interval');
+  const snapshotKeepInputs = {
+    hourly: document.getElementById('snapshot-keep-hourly'),
+    daily: document.getElementById('snapshot-keep-daily'),
+    weekly: document.getElementById('snapshot-keep-weekly')
+  };
+  const saveSnapshotSettingsBtn = document.getElementById('save-snapshot-settings-btn');
+  const takeSnapshotBtn = document.getElementById('take-snapshot-btn');
+  const snapshotTimeline = document.getElementById('snapshot-timeline');
   const saveConfigBtn = document.getElementById('save-config-btn');
+  const exportSelectedBtn = document.getElementById('export-selected-btn');
+  const exportAllBtn = document.getElementById('export-all-btn');
+  const exportBookmarksBtn = document.getElementById('export-bookmarks-btn');
+  const importSessionsBtn = document.getElementById('import-sessions-btn');
+  const importFileInput = document.getElementById('import-file-input');
+  const importPreview = document.getElementById('import-preview');
+  const importPreviewList = document.getElementById('import-preview-list');
+  const confirmImportBtn = document.getElementById('confirm-import-btn');
+  const cancelImportBtn = document.getElementById('cancel-import-btn');
+  const nativeGroupSyncCheckbox = document.getElementById('native-group-sync');
+  const treeModeCheckbox = document.getElementById('tree-mode');
+  const autoSuspendCheckbox = document.getElementById('auto-suspend');
+  const autoSuspendMinutesInput = document.getElementById('auto-suspend-minutes');
+  const rulesList = document.getElementById('rules-list');
+  const ruleTypeSelect = document.getElementById('rule-type');
+  const rulePatternInput = document.getElementById('rule-pattern');
+  const ruleGroupInput = document.getElementById('rule-group');
+  const ruleOverrideCheckbox = document.getElementById('rule-override');
+  const addRuleBtn = document.getElementById('add-rule-btn');
+  const duplicateCheckboxes = {
+    ignoreHash: document.getElementById('dup-ignore-hash'),
+    ignoreQuery: document.getElementById('dup-ignore-query'),
+    ignoreTrailingSlash: document.getElementById('dup-ignore-trailing-slash'),
+    switchToExisting: document.getElementById('dup-switch-to-existing')
+  };
   
-  chrome.storage.local.get(['sidebarPosition', 'theme'], (result) => {
+  chrome.storage.local.get(['sidebarPosition', 'theme', 'nativeGroupSync', 'treeMode', 'duplicateSettings', 'autoSuspend', 'restoreOptions'], (result) => {
     const currentPosition = result.sidebarPosition || 'left'; // Default to left
     positionRadios.forEach(radio => {
       if (radio.value === currentPosition) {
@@ -22,6 +70,25 @@ document.addEventListener('DOMContentLoaded', () => {
         radio.checked = true;
       }
     });
+
+    nativeGroupSyncCheckbox.checked = result.nativeGroupSync === true;
+    treeModeCheckbox.checked = result.treeMode === true;
+
+    if (result.autoSuspend) {
+      autoSuspendCheckbox.checked = result.autoSuspend.enabled === true;
+      autoSuspendMinutesInput.value = result.autoSuspend.minutes;
+    }
+
+    const restoreOptions = result.restoreOptions || {};
+    restoreTargetRadios.forEach(radio => {
+      radio.checked = radio.value === (restoreOptions.target || 'new');
+    });
+    restoreLazyCheckbox.checked = restoreOptions.lazy === true;
+
+    const duplicateSettings = { ...DEFAULT_DUPLICATE_SETTINGS, ...(result.duplicateSettings || {}) };
+    for (const key in duplicateCheckboxes) {
+      duplicateCheckboxes[key].checked = duplicateSettings[key] === true;
+    }
   });
 
   positionRadios.forEach(radio => {
@@ -51,7 +118,208 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  treeModeCheckbox.addEventListener('change', (event) => {
+    const treeMode = event.target.checked;
+    chrome.storage.local.set({ treeMode });
+    chrome.runtime.sendMessage({ action: 'updateTreeMode', treeMode });
+  });
+
+  /**
+   * Saves the auto-suspend settings; the background reschedules its alarm
+   */
+  function handleAutoSuspendChange() {
+    const minutes = parseInt(autoSuspendMinutesInput.value);
+    if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+      showTemporaryMessage('Please enter a number of minutes between 1 and 1440', 'error');
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: 'setAutoSuspend',
+      enabled: autoSuspendCheckbox.checked,
+      minutes: minutes
+    }, (response) => {
+      if (!response || !response.success) {
+        showTemporaryMessage('Failed to save auto-suspend: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  autoSuspendCheckbox.addEventListener('change', handleAutoSuspendChange);
+  autoSuspendMinutesInput.addEventListener('change', handleAutoSuspendChange);
+
+  Object.values(duplicateCheckboxes).forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const settings = {};
+      for (const key in duplicateCheckboxes) {
+        settings[key] = duplicateCheckboxes[key].checked;
+      }
+      chrome.storage.local.set({ duplicateSettings: settings });
+      chrome.runtime.sendMessage({ action: 'updateDuplicateSettings', settings });
+    });
+  });
+
+  nativeGroupSyncCheckbox.addEventListener('change', (event) => {
+    const enabled = event.target.checked;
+    nativeGroupSyncCheckbox.disabled = true;
+    chrome.runtime.sendMessage({ action: 'setNativeGroupSync', enabled }, (response) => {
+      nativeGroupSyncCheckbox.disabled = false;
+      if (!response || !response.success) {
+        nativeGroupSyncCheckbox.checked = !enabled;
+        showTemporaryMessage('Failed to update tab group sync', 'error');
+      }
+    });
+  });
+
+  // Auto grouping rules
+
+  const RULE_PATTERN_PLACEHOLDERS = {
+    domain: 'e.g. github.com',
+    glob: 'e.g. https://*.google.com/*',
+    regex: 'e.g. ^https://(www\\.)?youtube\\.com/'
+  };
+  let groupingRules = [];
+
+  /**
+   * Saves the rules list; the background reads it whenever a tab is created or navigates
+   */
+  function saveGroupingRules() {
+    chrome.storage.local.set({ groupingRules });
+    renderGroupingRules();
+  }
+
+  /**
+   * Renders the rules list in priority order with reorder, toggle and delete controls
+   */
+  function renderGroupingRules() {
+    rulesList.innerHTML = '';
+
+    if (groupingRules.length === 0) {
+      const emptyEl = document.createElement('div');
+      emptyEl.className = 'rules-empty';
+      emptyEl.textContent = 'No rules yet';
+      rulesList.appendChild(emptyEl);
+      return;
+    }
+
+    groupingRules.forEach((rule, index) => {
+      const ruleEl = document.createElement('div');
+      ruleEl.className = 'rule-item';
+      ruleEl.classList.toggle('disabled', rule.enabled === false);
+
+      const enabledCheckbox = document.createElement('input');
+      enabledCheckbox.type = 'checkbox';
+      enabledCheckbox.checked = rule.enabled !== false;
+      enabledCheckbox.title = 'Enable rule';
+      enabledCheckbox.addEventListener('change', () => {
+        rule.enabled = enabledCheckbox.checked;
+        saveGroupingRules();
+      });
+      ruleEl.appendChild(enabledCheckbox);
+
+      const descriptionEl = document.createElement('span');
+      descriptionEl.className = 'rule-description';
+      descriptionEl.textContent = `${rule.type}: ${rule.pattern} → ${rule.groupName}`;
+      descriptionEl.title = rule.overrideOpener
+        ? 'Overrides the group inherited from the opener'
+        : 'Only applies to tabs without an inherited group';
+      ruleEl.appendChild(descriptionEl);
+
+      if (rule.overrideOpener) {
+        const overrideEl = document.createElement('span');
+        overrideEl.className = 'rule-override-badge';
+        overrideEl.textContent = 'override';
+        ruleEl.appendChild(overrideEl);
+      }
+
+      const upBtn = document.createElement('button');
+      upBtn.className = 'rule-btn';
+      upBtn.innerHTML = '&#9650;'; // Up arrow
+      upBtn.title = 'Raise priority';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => moveGroupingRule(index, -1));
+      ruleEl.appendChild(upBtn);
+
+      const downBtn = document.createElement('button');
+      downBtn.className = 'rule-btn';
+      downBtn.innerHTML = '&#9660;'; // Down arrow
+      downBtn.title = 'Lower priority';
+      downBtn.disabled = index === groupingRules.length - 1;
+      downBtn.addEventListener('click', () => moveGroupingRule(index, 1));
+      ruleEl.appendChild(downBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'rule-btn';
+      deleteBtn.textContent = 'X';
+      deleteBtn.title = 'Delete rule';
+      deleteBtn.addEventListener('click', () => {
+        groupingRules.splice(index, 1);
+        saveGroupingRules();
+      });
+      ruleEl.appendChild(deleteBtn);
+
+      rulesList.appendChild(ruleEl);
+    });
+  }
+
+  /**
+   * Moves a rule up or down in the priority order
+   */
+  function moveGroupingRule(index, direction) {
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= groupingRules.length) return;
+    const [rule] = groupingRules.splice(index, 1);
+    groupingRules.splice(newIndex, 0, rule);
+    saveGroupingRules();
+  }
+
+  /**
+   * Validates the form and appends a new rule with the lowest priority
+   */
+  function handleAddRule() {
+    const type = ruleTypeSelect.value;
+    const pattern = rulePatternInput.value.trim();
+    const groupName = ruleGroupInput.value.trim();
+
+    if (!pattern || !groupName) {
+      showTemporaryMessage('Enter a pattern and a group name', 'error');
+      return;
+    }
+    if (type === 'regex') {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        showTemporaryMessage('Invalid regular expression: ' + error.message, 'error');
+        return;
+      }
+    }
+
+    groupingRules.push({
+      id: `rule-${Date.now()}`,
+      type,
+      pattern,
+      groupName,
+      overrideOpener: ruleOverrideCheckbox.checked,
+      enabled: true
+    });
+    saveGroupingRules();
+
+    rulePatternInput.value = '';
+    ruleGroupInput.value = '';
+    ruleOverrideCheckbox.checked = false;
+  }
+
+  ruleTypeSelect.addEventListener('change', () => {
+    rulePatternInput.placeholder = RULE_PATTERN_PLACEHOLDERS[ruleTypeSelect.value];
+  });
+  addRuleBtn.addEventListener('click', handleAddRule);
+  chrome.storage.local.get(['groupingRules'], (result) => {
+    groupingRules = Array.isArray(result.groupingRules) ? result.groupingRules : [];
+    renderGroupingRules();
+  });
+
   // Session management functionality
+  // Summaries of the stored sessions, in the order of the dropdown
+  let storedSessions = [];
   
   /**
    * Formats a timestamp as a relative time string
@@ -81,23 +349,39 @@ document.addEventListener('DOMContentLoaded', () => {
    */
   function updateSessionInfo() {
     chrome.runtime.sendMessage({ action: 'getStoredSessions' }, (response) => {
+      const previousSelection = sessionSelect.value;
+      storedSessions = response && response.success ? response.sessions : [];
+
       // Clear existing options
       sessionSelect.innerHTML = '<option value="">Select a session...</option>';
       
-      if (response && response.success && response.sessions.length > 0) {
-        response.sessions.forEach(session => {
+      if (storedSessions.length > 0) {
+        storedSessions.forEach((session, index) => {
           const option = document.createElement('option');
           option.value = session.id;
           const relativeTime = formatRelativeTime(session.timestamp);
-          option.textContent = `${relativeTime} - ${session.totalTabs} tabs, ${session.windowCount} window${session.windowCount > 1 ? 's' : ''}`;
+          const label = session.name ? `${session.name} (${relativeTime})` : relativeTime;
+          // The first unpinned session is the one auto-save keeps up to date
+          const current = index === 0 && !session.pinned ? ' (current)' : '';
+          option.textContent = `${session.pinned ? '📌 ' : ''}${label}${current} - ${session.totalTabs} tabs, ${session.windowCount} window${session.windowCount > 1 ? 's' : ''}`;
           sessionSelect.appendChild(option);
         });
+        if (storedSessions.some(session => session.id === previousSelection)) {
+          sessionSelect.value = previousSelection;
+        }
         
-        sessionInfo.textContent = `${response.sessions.length} session${response.sessions.length > 1 ? 's' : ''} available`;
+        const pinnedCount = storedSessions.filter(session => session.pinned).length;
+        sessionInfo.textContent = `${storedSessions.length} session${storedSessions.length > 1 ? 's' : ''} available` +
+          (pinnedCount > 0 ? `, ${pinnedCount} pinned` : '');
       } else {
         sessionInfo.textContent = 'No saved sessions found';
       }
       
+      // The previewed session may have been deleted or trimmed
+      if (sessionSelect.value !== previousSelection) {
+        hideSessionPreview();
+      }
+
       // Update restore button state
       updateRestoreButtonState();
     });
@@ -107,7 +391,23 @@ document.addEventListener('DOMContentLoaded', () => {
    * Updates the restore button state based on selection
    */
   function updateRestoreButtonState() {
-    restoreSessionBtn.disabled = !sessionSelect.value;
+    const selectedSession = getSelectedSession();
+    restoreSessionBtn.disabled = !selectedSession;
+    previewSessionBtn.disabled = !selectedSession;
+    exportSelectedBtn.disabled = !selectedSession;
+    exportBookmarksBtn.disabled = !selectedSession;
+    renameSessionBtn.disabled = !selectedSession;
+    pinSessionBtn.disabled = !selectedSession;
+    pinSessionBtn.textContent = selectedSession && selectedSession.pinned ? 'Unpin' : 'Pin';
+    // The current session can't be deleted while auto-save keeps updating it
+    deleteSessionBtn.disabled = !selectedSession || (storedSessions[0] === selectedSession && !selectedSession.pinned);
+  }
+
+  /**
+   * Returns the summary of the session selected in the dropdown
+   */
+  function getSelectedSession() {
+    return storedSessions.find(session => session.id === sessionSelect.value) || null;
   }
 
   /**
@@ -117,6 +417,7 @@ document.addEventListener('DOMContentLoaded', () => {
     chrome.runtime.sendMessage({ action: 'getSessionConfig' }, (response) => {
       if (response && response.success) {
         maxSessionsInput.value = response.config.maxSessions;
+        maxPinnedSessionsInput.value = response.config.maxPinnedSessions;
       }
     });
   }
@@ -141,6 +442,84 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Saves the current state as an additional session with an optional name
+   */
+  function handleSaveNewSession() {
+    saveNewSessionBtn.disabled = true;
+
+    chrome.runtime.sendMessage({ action: 'saveSessionAsNew', name: sessionNameInput.value }, (response) => {
+      if (response && response.success) {
+        sessionNameInput.value = '';
+        updateSessionInfo();
+        showTemporaryMessage('New session saved!', 'success');
+      } else {
+        showTemporaryMessage('Failed to save session: ' + (response?.error || 'Unknown error'), 'error');
+      }
+
+      saveNewSessionBtn.disabled = false;
+    });
+  }
+
+  /**
+   * Renames the selected session; an empty name clears it
+   */
+  function handleRenameSession() {
+    const selectedSession = getSelectedSession();
+    if (!selectedSession) return;
+
+    const name = prompt('Session name (leave empty to clear):', selectedSession.name);
+    if (name === null) return;
+
+    chrome.runtime.sendMessage({ action: 'renameSession', sessionId: selectedSession.id, name }, (response) => {
+      if (response && response.success) {
+        updateSessionInfo();
+      } else {
+        showTemporaryMessage('Failed to rename session: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Pins or unpins the selected session
+   */
+  function handleTogglePinSession() {
+    const selectedSession = getSelectedSession();
+    if (!selectedSession) return;
+
+    chrome.runtime.sendMessage({
+      action: 'setSessionPinned',
+      sessionId: selectedSession.id,
+      pinned: !selectedSession.pinned
+    }, (response) => {
+      if (response && response.success) {
+        updateSessionInfo();
+      } else {
+        showTemporaryMessage('Failed to update session: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Deletes the selected session with confirmation
+   */
+  function handleDeleteSession() {
+    const selectedSession = getSelectedSession();
+    if (!selectedSession) return;
+
+    const label = selectedSession.name || formatRelativeTime(selectedSession.timestamp);
+    if (!confirm(`Delete the session "${label}" with ${selectedSession.totalTabs} tabs?`)) return;
+
+    chrome.runtime.sendMessage({ action: 'deleteSession', sessionId: selectedSession.id }, (response) => {
+      if (response && response.success) {
+        updateSessionInfo();
+        showTemporaryMessage('Session deleted', 'success');
+      } else {
+        showTemporaryMessage('Failed to delete session: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
   /**
    * Handles restore session with confirmation
    */
@@ -156,18 +535,18 @@ document.addEventListener('DOMContentLoaded', () => {
       if (response && response.success) {
         const selectedSession = response.sessions.find(s => s.id === selectedSessionId);
         if (selectedSession) {
-          const confirmMessage = `This will restore ${selectedSession.totalTabs} tabs in ${selectedSession.windowCount} new window(s). Continue?`;
+          const confirmMessage = `This will restore ${selectedSession.totalTabs} tabs ${describeRestoreTarget(selectedSession.windowCount)}. Continue?`;
           
           if (confirm(confirmMessage)) {
             restoreSessionBtn.disabled = true;
             restoreSessionBtn.textContent = 'Restoring...';
             
-            chrome.runtime.sendMessage({ 
+            sendRestoreMessage({ 
               action: 'restoreSession',
               sessionId: selectedSessionId
             }, (restoreResponse) => {
               if (restoreResponse && restoreResponse.success) {
-                showTemporaryMessage('Session restored successfully!', 'success');
+                showTemporaryMessage(describeRestoreResult('Session restored', restoreResponse), 'success');
               } else {
                 showTemporaryMessage('Failed to restore session: ' + (restoreResponse?.error || 'Unknown error'), 'error');
               }
@@ -181,13 +560,427 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Shows or hides the preview of the selected session
+   */
+  function handleTogglePreview() {
+    if (!sessionPreview.hidden) {
+      hideSessionPreview();
+      return;
+    }
+
+    const selectedSession = getSelectedSession();
+    if (!selectedSession) return;
+
+    chrome.runtime.sendMessage({ action: 'getSessionDetails', sessionId: selectedSession.id }, (response) => {
+      if (response && response.success) {
+        renderSessionPreview(response.session);
+        sessionPreview.hidden = false;
+        previewSessionBtn.textContent = 'Hide Preview';
+      } else {
+        showTemporaryMessage('Failed to load session: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Hides the session preview
+   */
+  function hideSessionPreview() {
+    sessionPreview.hidden = true;
+    sessionPreview.innerHTML = '';
+    previewSessionBtn.textContent = 'Preview Selected';
+  }
+
+  /**
+   * Returns the favicon Chrome has cached for a page
+   */
+  function getFaviconUrl(pageUrl) {
+    const url = new URL(chrome.runtime.getURL('/_favicon/'));
+    url.searchParams.set('pageUrl', pageUrl);
+    url.searchParams.set('size', '16');
+    return url.toString();
+  }
+
+  /**
+   * Creates a small preview action button
+   */
+  function createPreviewButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'session-preview-action';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Lists a session's windows, groups and tabs, with restore actions for a window,
+   * a group or the checked tabs
+   */
+  function renderSessionPreview(session) {
+    sessionPreview.innerHTML = '';
+
+    const restoreCheckedBtn = document.createElement('button');
+    restoreCheckedBtn.className = 'session-config-btn session-preview-restore-checked';
+    restoreCheckedBtn.textContent = 'Restore Checked Tabs';
+    restoreCheckedBtn.disabled = true;
+
+    const updateCheckedCount = () => {
+      const checkedCount = sessionPreview.querySelectorAll('.session-preview-tab input:checked').length;
+      restoreCheckedBtn.disabled = checkedCount === 0;
+      restoreCheckedBtn.textContent = checkedCount > 0 ? `Restore Checked Tabs (${checkedCount})` : 'Restore Checked Tabs';
+    };
+
+    session.windows.forEach((sessionWindow, windowIndex) => {
+      const windowEl = document.createElement('div');
+      windowEl.className = 'session-preview-window';
+
+      const windowHeader = document.createElement('div');
+      windowHeader.className = 'session-preview-header session-preview-window-header';
+      const windowTitle = document.createElement('span');
+      windowTitle.textContent = `Window ${windowIndex + 1} (${sessionWindow.tabs.length} tabs)`;
+      windowHeader.appendChild(windowTitle);
+      windowHeader.appendChild(createPreviewButton('Restore window', () => {
+        restoreSessionSelection(session.id, [{ windowIndex, tabIndexes: sessionWindow.tabs.map((tab, i) => i) }]);
+      }));
+      windowEl.appendChild(windowHeader);
+
+      // Named groups in their saved order, then tabs that aren't in a named group
+      const groupNames = sessionWindow.groupNames || {};
+      const groupOrder = (sessionWindow.groupOrder || []).filter(groupId => groupNames[groupId]);
+      Object.keys(groupNames).forEach(groupId => {
+        if (!groupOrder.includes(groupId)) groupOrder.push(groupId);
+      });
+      const sections = groupOrder.map(groupId => ({
+        groupId,
+        name: `${sessionWindow.groupIcons?.[groupId] ? sessionWindow.groupIcons[groupId] + ' ' : ''}${groupNames[groupId]}`,
+        tabIndexes: sessionWindow.tabs.map((tab, i) => i).filter(i => sessionWindow.tabs[i].groupId === groupId)
+      }));
+      sections.push({
+        groupId: null,
+        name: 'Ungrouped',
+        tabIndexes: sessionWindow.tabs.map((tab, i) => i).filter(i => !groupNames[sessionWindow.tabs[i].groupId])
+      });
+
+      sections.filter(section => section.tabIndexes.length > 0).forEach(section => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'session-preview-group';
+
+        const groupHeader = document.createElement('div');
+        groupHeader.className = 'session-preview-header session-preview-group-header';
+        const groupTitle = document.createElement('span');
+        groupTitle.textContent = `${section.name} (${section.tabIndexes.length})`;
+        groupHeader.appendChild(groupTitle);
+        if (section.groupId) {
+          groupHeader.appendChild(createPreviewButton('Restore group', () => {
+            restoreSessionSelection(session.id, [{ windowIndex, tabIndexes: section.tabIndexes }]);
+          }));
+        }
+        groupEl.appendChild(groupHeader);
+
+        section.tabIndexes.forEach(tabIndex => {
+          const tab = sessionWindow.tabs[tabIndex];
+          const tabEl = document.createElement('label');
+          tabEl.className = 'session-preview-tab';
+          tabEl.title = tab.url;
+
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.dataset.windowIndex = windowIndex;
+          checkbox.dataset.tabIndex = tabIndex;
+          checkbox.addEventListener('change', updateCheckedCount);
+
+          const favicon = document.createElement('img');
+          favicon.className = 'favicon';
+          favicon.src = getFaviconUrl(tab.url);
+
+          const title = document.createElement('span');
+          title.className = 'session-preview-tab-title';
+          title.textContent = tab.title || tab.url;
+
+          tabEl.appendChild(checkbox);
+          tabEl.appendChild(favicon);
+          tabEl.appendChild(title);
+          groupEl.appendChild(tabEl);
+        });
+
+        windowEl.appendChild(groupEl);
+      });
+
+      sessionPreview.appendChild(windowEl);
+    });
+
+    restoreCheckedBtn.addEventListener('click', () => {
+      const selectionByWindow = new Map();
+      sessionPreview.querySelectorAll('.session-preview-tab input:checked').forEach(checkbox => {
+        const windowIndex = parseInt(checkbox.dataset.windowIndex);
+        if (!selectionByWindow.has(windowIndex)) {
+          selectionByWindow.set(windowIndex, { windowIndex, tabIndexes: [] });
+        }
+        selectionByWindow.get(windowIndex).tabIndexes.push(parseInt(checkbox.dataset.tabIndex));
+      });
+      restoreSessionSelection(session.id, [...selectionByWindow.values()]);
+    });
+    sessionPreview.appendChild(restoreCheckedBtn);
+  }
+
+  /**
+   * Restores part of a session after confirmation
+   */
+  function restoreSessionSelection(sessionId, selection) {
+    const tabCount = selection.reduce((sum, entry) => sum + entry.tabIndexes.length, 0);
+    if (!confirm(`This will restore ${tabCount} tab${tabCount > 1 ? 's' : ''} ${describeRestoreTarget(selection.length)}. Continue?`)) {
+      return;
+    }
+
+    sendRestoreMessage({ action: 'restoreSessionSelection', sessionId, selection }, (response) => {
+      if (response && response.success) {
+        showTemporaryMessage(describeRestoreResult('Selection restored', response), 'success');
+      } else {
+        showTemporaryMessage('Failed to restore selection: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Returns where sessions are restored: 'new' windows or the 'current' window
+   */
+  function getRestoreTarget() {
+    const checked = Array.from(restoreTargetRadios).find(radio => radio.checked);
+    return checked ? checked.value : 'new';
+  }
+
+  /**
+   * Describes the restore target for confirmation prompts
+   */
+  function describeRestoreTarget(windowCount) {
+    return getRestoreTarget() === 'current'
+      ? 'into the current window, skipping tabs that are already open'
+      : `in ${windowCount} new window(s)`;
+  }
+
+  /**
+   * Builds the success message of a restore, mentioning skipped tabs
+   */
+  function describeRestoreResult(prefix, response) {
+    return response.skippedTabs > 0
+      ? `${prefix}, ${response.skippedTabs} already open tab${response.skippedTabs > 1 ? 's' : ''} skipped`
+      : `${prefix} successfully!`;
+  }
+
+  /**
+   * Saves the restore mode and sends a restore message with it
+   */
+  function sendRestoreMessage(message, callback) {
+    const target = getRestoreTarget();
+    const lazy = restoreLazyCheckbox.checked;
+    chrome.storage.local.set({ restoreOptions: { target, lazy } });
+
+    const done = (response) => {
+      restoreProgress.hidden = true;
+      callback(response);
+    };
+    if (target !== 'current') {
+      chrome.runtime.sendMessage({ ...message, lazy }, done);
+      return;
+    }
+    chrome.windows.getCurrent((currentWindow) => {
+      chrome.runtime.sendMessage({ ...message, lazy, targetWindowId: currentWindow.id }, done);
+    });
+  }
+
+  /**
+   * Shows how many tabs of a running restore have been opened
+   */
+  function updateRestoreProgress(done, total) {
+    restoreProgress.hidden = false;
+    restoreProgressBar.max = Math.max(total, 1);
+    restoreProgressBar.value = done;
+    restoreProgressText.textContent = `${done} / ${total} tabs`;
+  }
+
+  /**
+   * Loads the snapshot settings and lists the snapshots grouped by day, newest first
+   */
+  function updateSnapshotTimeline() {
+    chrome.runtime.sendMessage({ action: 'getSnapshots' }, (response) => {
+      snapshotTimeline.innerHTML = '';
+      if (!response || !response.success) return;
+
+      const { settings, snapshots } = response;
+      snapshotsEnabledCheckbox.checked = settings.enabled;
+      snapshotIntervalInput.value = settings.intervalMinutes;
+      for (const key in snapshotKeepInputs) {
+        snapshotKeepInputs[key].value = settings.retention[key];
+      }
+
+      if (snapshots.length === 0) {
+        snapshotTimeline.textContent = 'No snapshots yet';
+        return;
+      }
+
+      let currentDay = null;
+      snapshots.forEach(snapshot => {
+        const date = new Date(snapshot.timestamp);
+        const day = date.toDateString();
+        if (day !== currentDay) {
+          currentDay = day;
+          const dayHeading = document.createElement('div');
+          dayHeading.className = 'snapshot-day';
+          dayHeading.textContent = formatSnapshotDay(date);
+          snapshotTimeline.appendChild(dayHeading);
+        }
+        snapshotTimeline.appendChild(createSnapshotEntry(snapshot, date));
+      });
+    });
+  }
+
+  /**
+   * Labels a day of the timeline as Today, Yesterday or its date
+   */
+  function formatSnapshotDay(date) {
+    const today = new Date();
+    const yesterday = new Date();
+    yesterday.setDate(today.getDate() - 1);
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Creates a timeline entry with restore and diff actions
+   */
+  function createSnapshotEntry(snapshot, date) {
+    const entry = document.createElement('div');
+    entry.className = 'snapshot-entry';
+
+    const header = document.createElement('div');
+    header.className = 'session-preview-header';
+    const label = document.createElement('span');
+    label.textContent = `${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })} - ${snapshot.totalTabs} tabs, ${snapshot.windowCount} window${snapshot.windowCount > 1 ? 's' : ''}`;
+    header.appendChild(label);
+
+    const diffEl = document.createElement('div');
+    diffEl.className = 'snapshot-diff';
+    diffEl.hidden = true;
+
+    const actions = document.createElement('span');
+    actions.className = 'snapshot-actions';
+    actions.appendChild(createPreviewButton('Diff', () => {
+      if (!diffEl.hidden) {
+        diffEl.hidden = true;
+        return;
+      }
+      chrome.runtime.sendMessage({ action: 'diffSnapshot', snapshotId: snapshot.id }, (response) => {
+        if (response && response.success) {
+          renderSnapshotDiff(diffEl, response.diff);
+          diffEl.hidden = false;
+        } else {
+          showTemporaryMessage('Failed to compare snapshot: ' + (response?.error || 'Unknown error'), 'error');
+        }
+      });
+    }));
+    actions.appendChild(createPreviewButton('Restore', () => {
+      if (!confirm(`This will restore ${snapshot.totalTabs} tabs ${describeRestoreTarget(snapshot.windowCount)}. Continue?`)) {
+        return;
+      }
+      sendRestoreMessage({ action: 'restoreSnapshot', snapshotId: snapshot.id }, (response) => {
+        if (response && response.success) {
+          showTemporaryMessage(describeRestoreResult('Snapshot restored', response), 'success');
+        } else {
+          showTemporaryMessage('Failed to restore snapshot: ' + (response?.error || 'Unknown error'), 'error');
+        }
+      });
+    }));
+    header.appendChild(actions);
+
+    entry.appendChild(header);
+    entry.appendChild(diffEl);
+    return entry;
+  }
+
+  /**
+   * Shows what changed between a snapshot and now
+   */
+  function renderSnapshotDiff(diffEl, diff) {
+    diffEl.innerHTML = '';
+    const groupLabel = group => group || 'Ungrouped';
+    const sections = [
+      ['Groups added', diff.addedGroups],
+      ['Groups removed', diff.removedGroups],
+      ['Tabs opened since', diff.addedTabs.map(tab => `${tab.title || tab.url} (${groupLabel(tab.group)})`)],
+      ['Tabs closed since', diff.removedTabs.map(tab => `${tab.title || tab.url} (${groupLabel(tab.group)})`)],
+      ['Tabs moved', diff.movedTabs.map(tab => `${tab.title || tab.url}: ${groupLabel(tab.from)} → ${groupLabel(tab.to)}`)]
+    ].filter(([, items]) => items.length > 0);
+
+    if (sections.length === 0) {
+      diffEl.textContent = 'Same as now';
+      return;
+    }
+
+    sections.forEach(([title, items]) => {
+      const heading = document.createElement('div');
+      heading.className = 'snapshot-diff-heading';
+      heading.textContent = `${title} (${items.length})`;
+      diffEl.appendChild(heading);
+
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = item;
+        list.appendChild(listItem);
+      });
+      diffEl.appendChild(list);
+    });
+  }
+
+  /**
+   * Saves the snapshot interval and retention policy
+   */
+  function handleSaveSnapshotSettings() {
+    const settings = {
+      enabled: snapshotsEnabledCheckbox.checked,
+      intervalMinutes: parseInt(snapshotIntervalInput.value),
+      retention: {}
+    };
+    for (const key in snapshotKeepInputs) {
+      settings.retention[key] = parseInt(snapshotKeepInputs[key].value);
+    }
+
+    chrome.runtime.sendMessage({ action: 'updateSnapshotSettings', settings }, (response) => {
+      if (response && response.success) {
+        showTemporaryMessage('Snapshot settings saved!', 'success');
+        updateSnapshotTimeline();
+      } else {
+        showTemporaryMessage('Failed to save snapshot settings: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
+  /**
+   * Takes a snapshot right away
+   */
+  function handleTakeSnapshot() {
+    takeSnapshotBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: 'takeSnapshot' }, (response) => {
+      takeSnapshotBtn.disabled = false;
+      if (response && response.success) {
+        showTemporaryMessage(response.taken ? 'Snapshot taken!' : 'Nothing changed since the last snapshot', 'success');
+        updateSnapshotTimeline();
+      } else {
+        showTemporaryMessage('Failed to take snapshot: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
   /**
    * Handles saving session configuration
    */
   function handleSaveConfig() {
     const maxSessions = parseInt(maxSessionsInput.value);
-    if (isNaN(maxSessions) || maxSessions < 1 || maxSessions > 10) {
-      showTemporaryMessage('Please enter a valid number between 1 and 10', 'error');
+    const maxPinnedSessions = parseInt(maxPinnedSessionsInput.value);
+    if ([maxSessions, maxPinnedSessions].some(value => isNaN(value) || value < 1 || value > 50)) {
+      showTemporaryMessage('Please enter valid numbers between 1 and 50', 'error');
       return;
     }
 
@@ -196,7 +989,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     chrome.runtime.sendMessage({ 
       action: 'updateSessionConfig',
-      config: { maxSessions }
+      config: { maxSessions, maxPinnedSessions }
     }, (response) => {
       if (response && response.success) {
         showTemporaryMessage('Configuration saved successfully!', 'success');
@@ -210,6 +1003,149 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Sessions parsed from the chosen import file, waiting for confirmation
+  let pendingImportSessions = null;
+
+  /**
+   * Saves text to a file through a temporary download link
+   */
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Builds a file name stamped with the current date
+   */
+  function getExportFilename(extension) {
+    return `vertical-tabs-sessions-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Exports the selected session, or all sessions, in the given format
+   */
+  function handleExport(allSessions, format) {
+    const sessionIds = allSessions ? null : [sessionSelect.value];
+    chrome.runtime.sendMessage({ action: 'exportSessions', sessionIds }, (response) => {
+      if (!response || !response.success) {
+        showTemporaryMessage('Failed to export: ' + (response?.error || 'Unknown error'), 'error');
+        return;
+      }
+      if (format === 'bookmarks') {
+        const [session] = response.sessions;
+        const title = session.name || `Session ${new Date(session.timestamp).toLocaleString()}`;
+        downloadFile(getExportFilename('html'), buildBookmarksHtml(session, title), 'text/html');
+      } else {
+        downloadFile(getExportFilename('json'), buildSessionsJson(response.sessions), 'application/json');
+      }
+      showTemporaryMessage(`Exported ${response.sessions.length} session${response.sessions.length > 1 ? 's' : ''}`, 'success');
+    });
+  }
+
+  /**
+   * Reads and validates the chosen import file, then shows a preview
+   */
+  function handleImportFile() {
+    const [file] = importFileInput.files;
+    importFileInput.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+      try {
+        pendingImportSessions = parseSessionImport(text);
+      } catch (error) {
+        hideImportPreview();
+        showTemporaryMessage('Cannot import: ' + error.message, 'error');
+        return;
+      }
+      renderImportPreview(file.name);
+    }).catch(error => {
+      hideImportPreview();
+      showTemporaryMessage('Cannot read the file: ' + error.message, 'error');
+    });
+  }
+
+  /**
+   * Lists the sessions about to be imported with their windows, tabs and groups
+   */
+  function renderImportPreview(filename) {
+    importPreviewList.innerHTML = '';
+
+    const heading = document.createElement('div');
+    heading.className = 'import-preview-heading';
+    heading.textContent = `${filename}: ${pendingImportSessions.length} session${pendingImportSessions.length > 1 ? 's' : ''}`;
+    importPreviewList.appendChild(heading);
+
+    pendingImportSessions.forEach(session => {
+      const item = document.createElement('div');
+      item.className = 'import-preview-item';
+      const groupNames = Object.values(session.groupNames);
+      item.textContent = `${session.name ? session.name + ' - ' : ''}${formatRelativeTime(session.timestamp)} - ${session.totalTabs} tabs, ${session.windowCount} window${session.windowCount > 1 ? 's' : ''}`;
+      if (groupNames.length > 0) {
+        const groups = document.createElement('div');
+        groups.className = 'import-preview-groups';
+        groups.textContent = `Groups: ${groupNames.join(', ')}`;
+        item.appendChild(groups);
+      }
+      importPreviewList.appendChild(item);
+    });
+
+    const skippedTabCount = pendingImportSessions.reduce((sum, session) => sum + (session.skippedTabCount || 0), 0);
+    if (skippedTabCount > 0) {
+      const skippedNote = document.createElement('div');
+      skippedNote.className = 'import-preview-skipped';
+      skippedNote.textContent = `${skippedTabCount} tab${skippedTabCount > 1 ? 's' : ''} will be skipped: only http(s), file and ftp addresses can be imported`;
+      importPreviewList.appendChild(skippedNote);
+    }
+
+    importPreview.hidden = false;
+  }
+
+  /**
+   * Hides the import preview and drops the pending sessions
+   */
+  function hideImportPreview() {
+    pendingImportSessions = null;
+    importPreview.hidden = true;
+    importPreviewList.innerHTML = '';
+  }
+
+  /**
+   * Adds the previewed sessions to the sessions list. When the session limit would drop
+   * sessions, asks first and imports again with eviction allowed.
+   */
+  function handleConfirmImport(allowEviction = false) {
+    if (!pendingImportSessions) return;
+
+    confirmImportBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: 'importSessions', sessions: pendingImportSessions, allowEviction }, (response) => {
+      confirmImportBtn.disabled = false;
+      if (response && response.needsConfirmation) {
+        const losses = [];
+        if (response.evictedCount > 0) {
+          losses.push(`remove ${response.evictedCount} older unpinned session${response.evictedCount > 1 ? 's' : ''}`);
+        }
+        if (response.skippedCount > 0) {
+          losses.push(`leave out ${response.skippedCount} of the imported sessions`);
+        }
+        if (confirm(`The unpinned session limit is reached, so importing will ${losses.join(' and ')}. Continue?`)) {
+          handleConfirmImport(true);
+        }
+      } else if (response && response.success) {
+        hideImportPreview();
+        updateSessionInfo();
+        const skippedNote = response.skippedCount > 0 ? ` (${response.skippedCount} did not fit the session limit)` : '';
+        showTemporaryMessage(`Imported ${response.count} session${response.count !== 1 ? 's' : ''}${skippedNote}`, 'success');
+      } else {
+        showTemporaryMessage('Failed to import: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    });
+  }
+
   /**
    * Shows a temporary message to the user
    */
@@ -238,11 +1174,36 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Event listeners for session controls
   saveSessionBtn.addEventListener('click', handleSaveSession);
+  saveNewSessionBtn.addEventListener('click', handleSaveNewSession);
+  renameSessionBtn.addEventListener('click', handleRenameSession);
+  pinSessionBtn.addEventListener('click', handleTogglePinSession);
+  deleteSessionBtn.addEventListener('click', handleDeleteSession);
   restoreSessionBtn.addEventListener('click', handleRestoreSession);
-  sessionSelect.addEventListener('change', updateRestoreButtonState);
+  sessionSelect.addEventListener('change', () => {
+    hideSessionPreview();
+    updateRestoreButtonState();
+  });
+  previewSessionBtn.addEventListener('click', handleTogglePreview);
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === 'restoreProgress') {
+      updateRestoreProgress(message.done, message.total);
+    }
+  });
   saveConfigBtn.addEventListener('click', handleSaveConfig);
+  exportSelectedBtn.addEventListener('click', () => handleExport(false, 'json'));
+  exportAllBtn.addEventListener('click', () => handleExport(true, 'json'));
+  exportBookmarksBtn.addEventListener('click', () => handleExport(false, 'bookmarks'));
+  importSessionsBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', handleImportFile);
+  confirmImportBtn.addEventListener('click', () => handleConfirmImport());
+  cancelImportBtn.addEventListener('click', hideImportPreview);
+
+  snapshotsEnabledCheckbox.addEventListener('change', handleSaveSnapshotSettings);
+  saveSnapshotSettingsBtn.addEventListener('click', handleSaveSnapshotSettings);
+  takeSnapshotBtn.addEventListener('click', handleTakeSnapshot);
 
   // Initialize session management on load
   loadSessionConfig();
   updateSessionInfo();
+  updateSnapshotTimeline();
 });
@@ -0,0 +1,279 @@
+/*
+ * Session export and import: a versioned JSON format and Netscape bookmarks HTML.
+ * Loaded with a <script> tag in popup.html and importScripts() in background.js
+ * (the background only uses the validation and escapeHtml, as DOMParser is not available there).
+ */
+
+const SESSION_EXPORT_FORMAT = 'vertical-tabs-sessions';
+const SESSION_EXPORT_VERSION = 1;
+// Imported files are untrusted: javascript:, data: and browser-internal URLs are never opened from them
+const IMPORTABLE_URL_SCHEMES = ['http:', 'https:', 'file:', 'ftp:'];
+
+/**
+ * Builds the JSON export document for a list of full sessions
+ */
+function buildSessionsJson(sessions) {
+  return JSON.stringify({
+    format: SESSION_EXPORT_FORMAT,
+    version: SESSION_EXPORT_VERSION,
+    exportedAt: Date.now(),
+    sessions: sessions
+  }, null, 2);
+}
+
+/**
+ * Checks that a value is a plain object with string keys and string values
+ */
+function isStringMap(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
+
+/**
+ * Checks that a URL from an import uses a scheme that is safe to open
+ */
+function isImportableUrl(url) {
+  try {
+    return IMPORTABLE_URL_SCHEMES.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a session from an import and returns a clean copy with only known fields.
+ * Tabs with a URL that isn't importable are left out and counted in skippedTabCount.
+ * Throws an Error describing the first problem found.
+ */
+function sanitizeImportedSession(session, label = 'Session') {
+  if (!session || typeof session !== 'object' || !Array.isArray(session.windows)) {
+    throw new Error(`${label} has no windows list`);
+  }
+
+  let skippedTabCount = 0;
+  const windows = session.windows.map((window, windowIndex) => {
+    if (!window || !Array.isArray(window.tabs)) {
+      throw new Error(`${label}, window ${windowIndex + 1} has no tabs list`);
+    }
+    // Original positions of the kept tabs, to remap parentIndex
+    const keptIndexes = [];
+    window.tabs.forEach((tab, tabIndex) => {
+      if (!tab || typeof tab.url !== 'string' || !tab.url) {
+        throw new Error(`${label}, window ${windowIndex + 1}, tab ${tabIndex + 1} has no URL`);
+      }
+      if (isImportableUrl(tab.url)) {
+        keptIndexes.push(tabIndex);
+      } else {
+        skippedTabCount++;
+      }
+    });
+    const tabs = keptIndexes.map(tabIndex => {
+      const tab = window.tabs[tabIndex];
+      const cleanTab = {
+        url: tab.url,
+        title: typeof tab.title === 'string' ? tab.title : tab.url,
+        pinned: tab.pinned === true,
+        groupId: typeof tab.groupId === 'string' ? tab.groupId : 'ungrouped'
+      };
+      const parentIndex = Number.isInteger(tab.parentIndex) ? keptIndexes.indexOf(tab.parentIndex) : -1;
+      if (parentIndex !== -1) {
+        cleanTab.parentIndex = parentIndex;
+      }
+      return cleanTab;
+    });
+
+    const groupNames = isStringMap(window.groupNames) ? { ...window.groupNames } : {};
+    return {
+      tabs: tabs,
+      groupNames: groupNames,
+      groupOrder: Array.isArray(window.groupOrder) ? window.groupOrder.filter(id => groupNames[id]) : Object.keys(groupNames),
+      collapsedGroups: window.collapsedGroups && typeof window.collapsedGroups === 'object' ? { ...window.collapsedGroups } : {},
+      groupColors: isStringMap(window.groupColors) ? { ...window.groupColors } : {},
+      groupIcons: isStringMap(window.groupIcons) ? { ...window.groupIcons } : {}
+    };
+  }).filter(window => window.tabs.length > 0);
+
+  if (windows.length === 0) {
+    throw new Error(`${label} has no tabs`);
+  }
+
+  const cleanSession = {
+    timestamp: Number.isFinite(session.timestamp) ? session.timestamp : Date.now(),
+    totalTabs: windows.reduce((sum, window) => sum + window.tabs.length, 0),
+    windowCount: windows.length,
+    windows: windows,
+    groupNames: Object.assign({}, ...windows.map(window => window.groupNames))
+  };
+  if (typeof session.name === 'string' && session.name.trim()) {
+    cleanSession.name = session.name.trim();
+  }
+  if (skippedTabCount > 0) {
+    cleanSession.skippedTabCount = skippedTabCount;
+  }
+  return cleanSession;
+}
+
+/**
+ * Parses a JSON export document into sanitized sessions
+ */
+function parseSessionsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== SESSION_EXPORT_FORMAT) {
+    throw new Error('The file is not a Vertical Tabs session export');
+  }
+  if (!Number.isInteger(data.version) || data.version > SESSION_EXPORT_VERSION) {
+    throw new Error(`Unsupported export version: ${data.version}`);
+  }
+  if (!Array.isArray(data.sessions) || data.sessions.length === 0) {
+    throw new Error('The file contains no sessions');
+  }
+  return data.sessions.map((session, i) => sanitizeImportedSession(session, `Session ${i + 1}`));
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds a Netscape bookmarks file for a session. Each group becomes a folder and
+ * ungrouped tabs sit next to them. Sessions with several windows get a "Window N"
+ * folder per window, which the importer recognizes.
+ */
+function buildBookmarksHtml(session, title) {
+  const addDate = Math.floor((session.timestamp || Date.now()) / 1000);
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+  const folder = (indent, name, writeContents) => {
+    lines.push(`${indent}<DT><H3 ADD_DATE="${addDate}">${escapeHtml(name)}</H3>`);
+    lines.push(`${indent}<DL><p>`);
+    writeContents(indent + '    ');
+    lines.push(`${indent}</DL><p>`);
+  };
+  const link = (indent, tab) => {
+    lines.push(`${indent}<DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`);
+  };
+  const writeWindow = (indent, window) => {
+    const groupNames = window.groupNames || {};
+    const groupOrder = (window.groupOrder || []).concat(Object.keys(groupNames).filter(id => !(window.groupOrder || []).includes(id)));
+    groupOrder.forEach(groupId => {
+      const groupTabs = window.tabs.filter(tab => tab.groupId === groupId);
+      if (groupTabs.length === 0) return;
+      folder(indent, groupNames[groupId], groupIndent => groupTabs.forEach(tab => link(groupIndent, tab)));
+    });
+    window.tabs
+      .filter(tab => !groupNames[tab.groupId])
+      .forEach(tab => link(indent, tab));
+  };
+
+  folder('    ', title, indent => {
+    if (session.windows.length === 1) {
+      writeWindow(indent, session.windows[0]);
+    } else {
+      session.windows.forEach((window, i) => {
+        folder(indent, `Window ${i + 1}`, windowIndent => writeWindow(windowIndent, window));
+      });
+    }
+  });
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads the entries of a bookmarks <DL> as { type: 'folder', title, entries } and { type: 'link', url, title }
+ */
+function readBookmarkEntries(dl) {
+  const entries = [];
+  Array.from(dl.children).forEach(child => {
+    if (child.tagName !== 'DT') return;
+    const anchor = child.querySelector(':scope > a');
+    const heading = child.querySelector(':scope > h3');
+    if (anchor && anchor.getAttribute('href')) {
+      entries.push({ type: 'link', url: anchor.getAttribute('href'), title: anchor.textContent.trim() });
+    } else if (heading) {
+      const innerList = child.querySelector(':scope > dl');
+      entries.push({ type: 'folder', title: heading.textContent.trim(), entries: innerList ? readBookmarkEntries(innerList) : [] });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Collects every link below a list of entries, depth first
+ */
+function flattenBookmarkLinks(entries) {
+  return entries.flatMap(entry => entry.type === 'link' ? [entry] : flattenBookmarkLinks(entry.entries));
+}
+
+/**
+ * Turns bookmark entries into a session window: folders become groups (nested folders
+ * are folded into their top folder) and loose links become ungrouped tabs
+ */
+function bookmarkEntriesToWindow(entries, windowIndex) {
+  const window = { tabs: [], groupNames: {}, groupOrder: [] };
+  entries.forEach((entry, entryIndex) => {
+    if (entry.type === 'link') {
+      window.tabs.push({ url: entry.url, title: entry.title, groupId: 'ungrouped' });
+      return;
+    }
+    const links = flattenBookmarkLinks(entry.entries);
+    if (links.length === 0) return;
+    const groupId = `group-import-${windowIndex}-${entryIndex}`;
+    window.groupNames[groupId] = entry.title || 'Imported';
+    window.groupOrder.push(groupId);
+    links.forEach(link => window.tabs.push({ url: link.url, title: link.title, groupId: groupId }));
+  });
+  return window;
+}
+
+/**
+ * Parses a Netscape bookmarks file into a single sanitized session
+ */
+function parseBookmarksHtml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const rootList = doc.querySelector('dl');
+  if (!rootList) {
+    throw new Error('The file is not a bookmarks file');
+  }
+
+  let entries = readBookmarkEntries(rootList);
+  let title = null;
+  // Unwrap folders that only hold a single folder, like the session folder of our own export
+  while (entries.length === 1 && entries[0].type === 'folder') {
+    title = entries[0].title;
+    entries = entries[0].entries;
+  }
+
+  const isWindowList = entries.length > 1 &&
+    entries.every(entry => entry.type === 'folder' && /^Window \d+$/.test(entry.title));
+  const windows = isWindowList
+    ? entries.map((entry, i) => bookmarkEntriesToWindow(entry.entries, i))
+    : [bookmarkEntriesToWindow(entries, 0)];
+
+  const session = sanitizeImportedSession({ windows: windows, timestamp: Date.now(), name: title }, title || 'Bookmarks');
+  return [session];
+}
+
+/**
+ * Parses an import file, picking the format from its content
+ */
+function parseSessionImport(text) {
+  return text.trim().startsWith('{') ? parseSessionsJson(text) : parseBookmarksHtml(text);
+}
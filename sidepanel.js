@@ -15,6 +15,17 @@
 const tabsContainer = document.getElementById('tabs-container');
 const newGroupBtn = document.getElementById('new-group-btn');
 const sortTabsBtn = document.getElementById('sort-tabs-btn');
+const mergeDuplicatesBtn = document.getElementById('merge-duplicates-btn');
+const searchInput = document.getElementById('search-input');
+const pinnedStrip = document.getElementById('pinned-strip');
+const stashedSection = document.getElementById('stashed-section');
+const recentlyClosedSection = document.getElementById('recently-closed-section');
+const snackbar = document.getElementById('snackbar');
+const snackbarMessage = document.getElementById('snackbar-message');
+const snackbarUndoBtn = document.getElementById('snackbar-undo');
+const allWindowsBtn = document.getElementById('all-windows-btn');
+const thisWindowHeader = document.getElementById('this-window-header');
+const otherWindowsSection = document.getElementById('other-windows-section');
 
 let tabGroups = {
   ungrouped: { name: 'Ungrouped', tabs: [] }
@@ -25,14 +36,74 @@ let lastSelectedTabId = null; // Track the last selected tab for range selection
 let isDragging = false;
 let isSidePanelInteracting = false; // Flag to track user interaction within the side panel
 let sidepanelWindowId = null;
+let searchQuery = ''; // Current text of the search box
+let searchResults = null; // Matches for the current search, null when no filter is active
+let focusedItemKey = null; // Roving focus target in the list, e.g. 'tab:42' or 'group:group-123'
+let keyboardRangeAnchorId = null; // Fixed end of a Shift+Arrow range selection
+let treeMode = false; // Nest tabs under the tab they were opened from
+let tabParentMap = {}; // Child tab ID to opener tab ID, kept by the background script
+let collapsedTreeTabs = new Set(); // Parent tabs whose subtree is folded away
+let topSearchHitId = null; // Tab that Enter in the search box would activate
+let pinnedTabs = []; // Pinned tabs, shown in the strip at the top instead of in their group
+let tabLoadErrors = {}; // Tab ID to the error of its last failed page load, kept by the background script
+let duplicateSettings = { ...DEFAULT_DUPLICATE_SETTINGS }; // URL normalization rules, see duplicates.js
+let duplicateTabIds = new Set(); // Tabs whose normalized URL is open in another tab of this window
+let stashedGroups = []; // Groups saved and closed for later, kept in chrome.storage.local by the background script
+let stashedCollapsed = false; // Whether the Stashed section is folded to its header
+let closedGroups = []; // Recently closed groups, kept in chrome.storage.local by the background script
+let recentlyClosedEntries = []; // Closed tabs and windows from chrome.sessions
+let recentlyClosedCollapsed = true; // Whether the Recently closed section is folded to its header
+let snackbarUndo = null; // Undo callback of the snackbar on screen
+let allWindowsView = false; // Show the other windows below this one, kept in chrome.storage.local
+let otherWindows = []; // Tabs and group layout of every other window, for the all-windows view
+let thisWindowNumber = 1; // Position of this window among the open windows
+let snackbarTimeout = null;
+const MAX_HISTORY = 50; // Panel operations kept for Ctrl+Z
+const undoStack = []; // Reversible panel operations, newest last; see revertHistoryEntry
+const redoStack = []; // Undone operations, cleared by any new operation
+let isApplyingHistory = false;
+
+// Rendering state. Elements are cached by ID and patched in place; long lists are
+// virtualized, so only rows near the viewport exist in the DOM.
+const TAB_ROW_HEIGHT = 42; // Must match the .tab-item height in styles.css
+const VIRTUAL_OVERSCAN_PX = 400; // Extra rows rendered above and below the viewport
+let tabsById = new Map(); // All tabs in the panel by ID, rebuilt on every render
+let renderedGroupIds = []; // Groups currently shown, in display order
+let groupElementCache = new Map(); // Group ID to its .tab-group element
+let tabElementCache = new Map(); // Tab ID to its .tab-item element
+let pinnedElementCache = new Map(); // Tab ID to its .pinned-tab element
+let tabListCache = new Map(); // Group ID to the drop indicators and spacers of its tab list
+let groupDropIndicatorCache = new Map(); // Position in the group order to its drop indicator
+let highlightSignatures = new WeakMap(); // Last text written into a title or group name
+let draggingTabIds = new Set(); // Tabs being dragged, kept rendered until the drag ends
+let searchEmptyEl = null;
+let patchFrameRequested = false;
+
+// Display values for the group colors stored in the background (names match chrome.tabGroups.Color)
+const GROUP_COLOR_VALUES = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#188038',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+const GROUP_ICON_PRESETS = ['📁', '💼', '🏠', '📚', '🛒', '🎵', '🎮', '🐞', '⭐', '🔥', '✈️', '💡'];
+
+// Color and icon picker elements
+let groupAppearancePicker = null;
+let pickerGroupId = null;
 
 // Context menu elements
 let contextMenu = null;
-let currentTabId = null;
 
 // Variables to prevent duplicate updates and race conditions
 let isUpdating = false;
 let updateTimeout = null;
+let pendingUpdateResolvers = []; // Promises of debouncedUpdateTabs waiting for the next update
 
 /**
  * Creates the custom context menu element
@@ -47,33 +118,69 @@ function createContextMenu() {
   contextMenu.style.position = 'fixed';
   contextMenu.style.zIndex = '1000';
   contextMenu.style.display = 'none';
+  document.body.appendChild(contextMenu);
+}
 
-  const addToNewGroupOption = document.createElement('div');
-  addToNewGroupOption.className = 'context-menu-item';
-  addToNewGroupOption.textContent = 'Add to New Group';
-
-  // Click handler for "Add to New Group"
-  addToNewGroupOption.addEventListener('click', () => {
-    handleAddToNewGroup();
-    hideContextMenu();
-  });
+/**
+ * Builds the DOM for a list of menu items.
+ * Each item is { label, action, disabled, submenu } or { separator: true }.
+ */
+function buildContextMenuItems(container, items) {
+  for (const item of items) {
+    if (item.separator) {
+      const separator = document.createElement('div');
+      separator.className = 'context-menu-separator';
+      container.appendChild(separator);
+      continue;
+    }
 
-  contextMenu.appendChild(addToNewGroupOption);
-  document.body.appendChild(contextMenu);
+    const itemEl = document.createElement('div');
+    itemEl.className = 'context-menu-item';
+    itemEl.textContent = item.label;
+
+    if (item.disabled) {
+      itemEl.classList.add('disabled');
+    } else if (item.submenu) {
+      itemEl.classList.add('has-submenu');
+      const submenu = document.createElement('div');
+      submenu.className = 'context-menu context-submenu';
+      buildContextMenuItems(submenu, item.submenu);
+      itemEl.appendChild(submenu);
+    } else {
+      itemEl.addEventListener('click', (e) => {
+        e.stopPropagation();
+        hideContextMenu();
+        item.action();
+      });
+    }
+    container.appendChild(itemEl);
+  }
 }
 
 /**
- * Shows the context menu at the specified coordinates
+ * Shows a context menu with the given items at the specified coordinates
  */
-function showContextMenu(x, y, tabId) {
+function showContextMenu(x, y, items) {
   if (!contextMenu) {
     createContextMenu();
   }
-  
-  currentTabId = tabId;
+
+  contextMenu.innerHTML = '';
+  buildContextMenuItems(contextMenu, items);
   contextMenu.style.left = x + 'px';
   contextMenu.style.top = y + 'px';
   contextMenu.style.display = 'block';
+
+  // Keep the menu inside the panel
+  const rect = contextMenu.getBoundingClientRect();
+  if (rect.right > window.innerWidth) {
+    contextMenu.style.left = Math.max(0, window.innerWidth - rect.width) + 'px';
+  }
+  if (rect.bottom > window.innerHeight) {
+    contextMenu.style.top = Math.max(0, window.innerHeight - rect.height) + 'px';
+  }
+  // Open submenus to the left when there is no room on the right
+  contextMenu.classList.toggle('submenus-left', contextMenu.getBoundingClientRect().right + 160 > window.innerWidth);
 }
 
 /**
@@ -83,7 +190,420 @@ function hideContextMenu() {
   if (contextMenu) {
     contextMenu.style.display = 'none';
   }
-  currentTabId = null;
+}
+
+/**
+ * Creates the popover used to pick a group's color and icon
+ */
+function createGroupAppearancePicker() {
+  if (groupAppearancePicker) {
+    groupAppearancePicker.remove();
+  }
+
+  groupAppearancePicker = document.createElement('div');
+  groupAppearancePicker.className = 'group-appearance-picker';
+  groupAppearancePicker.style.display = 'none';
+
+  const colorRow = document.createElement('div');
+  colorRow.className = 'picker-row';
+  const noColorBtn = document.createElement('button');
+  noColorBtn.className = 'picker-color picker-color-none';
+  noColorBtn.title = 'No color';
+  noColorBtn.addEventListener('click', () => updateGroupAppearance(pickerGroupId, { color: null }));
+  colorRow.appendChild(noColorBtn);
+
+  for (const [colorName, colorValue] of Object.entries(GROUP_COLOR_VALUES)) {
+    const colorBtn = document.createElement('button');
+    colorBtn.className = 'picker-color';
+    colorBtn.dataset.color = colorName;
+    colorBtn.title = colorName;
+    colorBtn.style.backgroundColor = colorValue;
+    colorBtn.addEventListener('click', () => updateGroupAppearance(pickerGroupId, { color: colorName }));
+    colorRow.appendChild(colorBtn);
+  }
+  groupAppearancePicker.appendChild(colorRow);
+
+  const iconRow = document.createElement('div');
+  iconRow.className = 'picker-row';
+  for (const icon of GROUP_ICON_PRESETS) {
+    const iconBtn = document.createElement('button');
+    iconBtn.className = 'picker-icon';
+    iconBtn.textContent = icon;
+    iconBtn.addEventListener('click', () => updateGroupAppearance(pickerGroupId, { icon }));
+    iconRow.appendChild(iconBtn);
+  }
+  groupAppearancePicker.appendChild(iconRow);
+
+  const customRow = document.createElement('div');
+  customRow.className = 'picker-row';
+  const customIconInput = document.createElement('input');
+  customIconInput.className = 'picker-icon-input';
+  customIconInput.placeholder = 'Custom emoji';
+  // The background trims icons to 8 characters; emoji can take several code units each
+  customIconInput.maxLength = 32;
+  customIconInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      updateGroupAppearance(pickerGroupId, { icon: customIconInput.value });
+    } else if (e.key === 'Escape') {
+      hideGroupAppearancePicker();
+    }
+  });
+  const clearIconBtn = document.createElement('button');
+  clearIconBtn.className = 'picker-clear-icon';
+  clearIconBtn.textContent = 'No icon';
+  clearIconBtn.addEventListener('click', () => updateGroupAppearance(pickerGroupId, { icon: null }));
+  customRow.appendChild(customIconInput);
+  customRow.appendChild(clearIconBtn);
+  groupAppearancePicker.appendChild(customRow);
+
+  document.body.appendChild(groupAppearancePicker);
+}
+
+/**
+ * Shows the color and icon picker for a group below the given anchor element
+ */
+function showGroupAppearancePicker(anchorEl, groupId) {
+  if (!groupAppearancePicker) {
+    createGroupAppearancePicker();
+  }
+
+  pickerGroupId = groupId;
+  const group = tabGroups[groupId];
+  groupAppearancePicker.querySelectorAll('.picker-color').forEach(btn => {
+    btn.classList.toggle('current', (btn.dataset.color || null) === (group?.color || null));
+  });
+  groupAppearancePicker.querySelector('.picker-icon-input').value = group?.icon || '';
+
+  const rect = anchorEl.getBoundingClientRect();
+  groupAppearancePicker.style.left = rect.left + 'px';
+  groupAppearancePicker.style.top = rect.bottom + 4 + 'px';
+  groupAppearancePicker.style.display = 'block';
+}
+
+/**
+ * Hides the color and icon picker
+ */
+function hideGroupAppearancePicker() {
+  if (groupAppearancePicker) {
+    groupAppearancePicker.style.display = 'none';
+  }
+  pickerGroupId = null;
+}
+
+/**
+ * Updates a group's color and/or icon locally and in the background
+ * @param {string} groupId The group to update.
+ * @param {{color?: string|null, icon?: string|null}} appearance The fields to change; null clears a field.
+ */
+async function updateGroupAppearance(groupId, appearance) {
+  const group = tabGroups[groupId];
+  if (!group) return;
+  hideGroupAppearancePicker();
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      action: 'updateGroupAppearance',
+      groupId: groupId,
+      windowId: sidepanelWindowId,
+      ...appearance
+    });
+    if (!response || !response.success) {
+      console.warn('Failed to update group appearance:', response?.error);
+      return;
+    }
+  } catch (error) {
+    console.warn('Failed to update group appearance in background script:', error);
+    return;
+  }
+
+  // Show what the background stored, which trims long icons
+  group.color = response.color;
+  group.icon = response.icon;
+  renderTabs();
+}
+
+/**
+ * Returns the full tab objects for the given IDs, in panel order
+ */
+function getTabsByIds(tabIds) {
+  return pinnedTabs
+    .concat(groupOrder.flatMap(groupId => (tabGroups[groupId] ? tabGroups[groupId].tabs : [])))
+    .filter(tab => tabIds.includes(tab.id));
+}
+
+/**
+ * Duplicates tabs through the background, so the duplicate tab policy leaves the copies open
+ */
+async function duplicateTabs(tabIds) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'duplicateTabs', tabIds });
+    if (!response || !response.success) {
+      console.error('Error duplicating tabs:', response && response.error);
+    }
+  } catch (error) {
+    console.error('Error duplicating tabs:', error);
+  }
+}
+
+/**
+ * Opens the tab menu for a right-clicked tab. The menu applies to the whole
+ * selection if the tab is part of it, otherwise the tab becomes the selection.
+ */
+function showTabContextMenu(x, y, tabId) {
+  if (!selectedTabs.has(tabId)) {
+    selectedTabs.clear();
+    selectedTabs.add(tabId);
+    lastSelectedTabId = tabId;
+    renderTabs();
+  }
+  const tabIds = Array.from(selectedTabs);
+  const tabs = getTabsByIds(tabIds);
+  const plural = tabIds.length > 1 ? 's' : '';
+  const allPinned = tabs.length > 0 && tabs.every(tab => tab.pinned);
+  const allMuted = tabs.length > 0 && tabs.every(tab => tab.mutedInfo && tab.mutedInfo.muted);
+  const sourceGroupIds = new Set(tabIds.map(getGroupIdOfTab));
+
+  const moveToGroupItems = groupOrder
+    .filter(groupId => tabGroups[groupId] && !(sourceGroupIds.size === 1 && sourceGroupIds.has(groupId)))
+    .map(groupId => ({
+      label: tabGroups[groupId].name,
+      action: () => handleInterGroupMove(groupId, tabIds)
+    }));
+
+  showContextMenu(x, y, [
+    { label: 'Add to New Group', action: () => handleAddToNewGroup(tabIds) },
+    { label: 'Move to group', submenu: moveToGroupItems, disabled: moveToGroupItems.length === 0 },
+    { separator: true },
+    { label: 'Reload', action: () => tabIds.forEach(id => chrome.tabs.reload(id)) },
+    { label: 'Duplicate', action: () => duplicateTabs(tabIds) },
+    { label: allPinned ? 'Unpin' : 'Pin', action: () => tabIds.forEach(id => chrome.tabs.update(id, { pinned: !allPinned })) },
+    { label: allMuted ? 'Unmute' : 'Mute', action: () => tabIds.forEach(id => chrome.tabs.update(id, { muted: !allMuted })) },
+    { separator: true },
+    { label: `Copy URL${plural}`, action: () => copyTabUrls(tabs) },
+    { label: `Bookmark tab${plural}`, action: () => bookmarkTabs(tabs) },
+    { label: 'Move to new window', action: () => moveTabsToNewWindow(tabIds) },
+    { separator: true },
+    { label: `Close tab${plural}`, action: () => closeTabsAndKeepFocus(tabIds) },
+    { label: 'Close others in group', action: () => closeOtherTabsInGroups(tabIds) },
+    { label: 'Close tabs below', action: () => closeTabsBelow(tabIds) }
+  ]);
+}
+
+/**
+ * Opens the menu for a tab in the pinned strip. Pinned tabs sit outside the groups,
+ * so only the actions that make sense for a single pinned tab are offered.
+ */
+function showPinnedTabContextMenu(x, y, tabId) {
+  const tabs = getTabsByIds([tabId]);
+  const isMuted = tabs.length > 0 && !!(tabs[0].mutedInfo && tabs[0].mutedInfo.muted);
+
+  showContextMenu(x, y, [
+    { label: 'Unpin', action: () => chrome.tabs.update(tabId, { pinned: false }) },
+    { label: 'Reload', action: () => chrome.tabs.reload(tabId) },
+    { label: 'Duplicate', action: () => duplicateTabs([tabId]) },
+    { label: isMuted ? 'Unmute' : 'Mute', action: () => toggleTabMuted(tabId) },
+    { separator: true },
+    { label: 'Copy URL', action: () => copyTabUrls(tabs) },
+    { label: 'Bookmark tab', action: () => bookmarkTabs(tabs) },
+    { separator: true },
+    { label: 'Close tab', action: () => chrome.tabs.remove(tabId) }
+  ]);
+}
+
+/**
+ * Mutes or unmutes a tab
+ */
+function toggleTabMuted(tabId) {
+  const tab = tabsById.get(tabId);
+  const isMuted = !!(tab && tab.mutedInfo && tab.mutedInfo.muted);
+  chrome.tabs.update(tabId, { muted: !isMuted }).catch(error => {
+    console.warn('Failed to toggle mute:', error);
+  });
+}
+
+/**
+ * Opens the group menu for a right-clicked group header
+ */
+function showGroupContextMenu(x, y, groupId) {
+  const isUngrouped = groupId === 'ungrouped';
+  const groupEl = tabsContainer.querySelector(`.tab-group[data-group-id="${groupId}"]`);
+
+  showContextMenu(x, y, [
+    { label: 'Rename group', disabled: isUngrouped, action: () => focusAndEditGroupName(groupEl?.querySelector('.group-name')) },
+    { label: 'Collapse all groups', disabled: !!searchResults, action: () => setAllGroupsCollapsed(true) },
+    { label: 'Expand all groups', disabled: !!searchResults, action: () => setAllGroupsCollapsed(false) },
+    { separator: true },
+    { label: 'Suspend group', disabled: isUngrouped, action: () => suspendGroup(groupId) },
+    { label: 'Stash group', disabled: isUngrouped, action: () => stashGroup(groupId) },
+    { label: 'Move group to new window', disabled: isUngrouped || !tabGroups[groupId] || tabGroups[groupId].tabs.length === 0, action: () => moveGroupToNewWindow(groupId) },
+    { label: 'Ungroup', disabled: isUngrouped, action: () => ungroupGroup(groupId) },
+    { label: 'Close group', disabled: isUngrouped, action: () => deleteGroupAndTabs(groupId) }
+  ]);
+}
+
+/**
+ * Opens the menu for a right-click on empty space in the panel
+ */
+function showEmptySpaceContextMenu(x, y) {
+  showContextMenu(x, y, [
+    { label: 'New group', action: createNewGroup },
+    { label: 'New tab', action: () => chrome.tabs.create({ windowId: sidepanelWindowId }) },
+    { separator: true },
+    { label: 'Merge all windows into this one', action: mergeAllWindows }
+  ]);
+}
+
+/**
+ * Copies the URLs of the given tabs to the clipboard, one per line
+ */
+async function copyTabUrls(tabs) {
+  try {
+    await navigator.clipboard.writeText(tabs.map(tab => tab.url).join('\n'));
+  } catch (error) {
+    console.error('Failed to copy URLs:', error);
+  }
+}
+
+/**
+ * Bookmarks the given tabs; several tabs go into a new folder named after their group
+ */
+async function bookmarkTabs(tabs) {
+  try {
+    if (tabs.length === 1) {
+      await chrome.bookmarks.create({ title: tabs[0].title, url: tabs[0].url });
+      return;
+    }
+    const groupId = getGroupIdOfTab(tabs[0].id);
+    const folderTitle = groupId && groupId !== 'ungrouped' ? tabGroups[groupId].name : 'Saved tabs';
+    const folder = await chrome.bookmarks.create({ title: folderTitle });
+    for (const tab of tabs) {
+      await chrome.bookmarks.create({ parentId: folder.id, title: tab.title, url: tab.url });
+    }
+  } catch (error) {
+    console.error('Failed to bookmark tabs:', error);
+  }
+}
+
+/**
+ * Moves the given tabs into a newly created window
+ */
+async function moveTabsToNewWindow(tabIds) {
+  if (tabIds.length === 0) return;
+  try {
+    const newWindow = await chrome.windows.create({ tabId: tabIds[0] });
+    if (tabIds.length > 1) {
+      await chrome.tabs.move(tabIds.slice(1), { windowId: newWindow.id, index: -1 });
+    }
+  } catch (error) {
+    console.error('Failed to move tabs to a new window:', error);
+  }
+}
+
+/**
+ * Closes every other tab in the groups the given tabs belong to
+ */
+function closeOtherTabsInGroups(tabIds) {
+  const groupIds = new Set(tabIds.map(getGroupIdOfTab));
+  const tabIdsToClose = Array.from(groupIds)
+    .flatMap(groupId => (tabGroups[groupId] ? tabGroups[groupId].tabs : []))
+    .map(tab => tab.id)
+    .filter(id => !tabIds.includes(id));
+  if (tabIdsToClose.length > 0) {
+    closeTabsAndKeepFocus(tabIdsToClose);
+  }
+}
+
+/**
+ * Closes all tabs shown below the lowest of the given tabs, across groups
+ */
+function closeTabsBelow(tabIds) {
+  const orderedTabIds = groupOrder.flatMap(groupId => (tabGroups[groupId] ? tabGroups[groupId].tabs : [])).map(tab => tab.id);
+  const lastIndex = Math.max(...tabIds.map(id => orderedTabIds.indexOf(id)));
+  const tabIdsToClose = orderedTabIds.slice(lastIndex + 1);
+  if (tabIdsToClose.length > 0) {
+    closeTabsAndKeepFocus(tabIdsToClose);
+  }
+}
+
+/**
+ * Collapses or expands every group
+ */
+function setAllGroupsCollapsed(collapsed) {
+  groupOrder.forEach(groupId => setGroupCollapsed(groupId, collapsed));
+}
+
+/**
+ * Removes a group but keeps its tabs open, moving them to Ungrouped
+ */
+async function ungroupGroup(groupId) {
+  const group = tabGroups[groupId];
+  if (!group || groupId === 'ungrouped') return;
+  const layoutBefore = captureLayout();
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'deleteGroup',
+      groupId: groupId,
+      windowId: sidepanelWindowId
+    });
+  } catch (error) {
+    console.error('Error ungrouping group:', error);
+    return;
+  }
+  recordLayoutChange(`Ungroup "${group.name}"`, layoutBefore);
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Discards the group's tabs to free memory; each one reloads when it is next activated
+ */
+async function suspendGroup(groupId) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'suspendGroup',
+      groupId: groupId,
+      windowId: sidepanelWindowId
+    });
+  } catch (error) {
+    console.error('Error suspending group:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Saves the group's name, color and tabs for later and closes its tabs
+ */
+async function stashGroup(groupId) {
+  const groupName = tabGroups[groupId] ? tabGroups[groupId].name : '';
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'stashGroup',
+      groupId: groupId,
+      windowId: sidepanelWindowId
+    });
+    if (!response || !response.success) {
+      console.error('Error stashing group:', response && response.error);
+      return;
+    }
+    const leftOpenNote = response.leftOpenCount > 0
+      ? ` (${response.leftOpenCount} tab${response.leftOpenCount > 1 ? 's' : ''} that can't be stashed left open)`
+      : '';
+    showSnackbar(`Stashed "${groupName}"${leftOpenNote}`, () => reopenStash(response.stashId));
+  } catch (error) {
+    console.error('Error stashing group:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Checks whether a group is suspended: every tab that can be discarded has been
+ */
+function isGroupSuspended(group) {
+  return group.tabs.some(tab => tab.discarded) &&
+    group.tabs.every(tab => tab.discarded || tab.active || tab.audible);
 }
 
 /**
@@ -111,10 +631,12 @@ function focusAndEditGroupName(groupNameEl) {
 /**
  * Handles range selection when SHIFT + click is used
  * Selects all tabs between the last selected tab and the current tab
+ * @param {number} currentTabId The tab at the moving end of the range.
+ * @param {number} [anchorTabId] The fixed end of the range; defaults to the last selected tab.
  */
-function handleRangeSelection(currentTabId) {
+function handleRangeSelection(currentTabId, anchorTabId = lastSelectedTabId) {
   // If no last selected tab, just select the current tab
-  if (!lastSelectedTabId) {
+  if (!anchorTabId) {
     selectedTabs.clear();
     selectedTabs.add(currentTabId);
     lastSelectedTabId = currentTabId;
@@ -122,15 +644,10 @@ function handleRangeSelection(currentTabId) {
   }
 
   // Get all visible tabs in order (following group order)
-  const allVisibleTabs = [];
-  for (const groupId of groupOrder) {
-    if (tabGroups[groupId] && !tabGroups[groupId].collapsed) {
-      allVisibleTabs.push(...tabGroups[groupId].tabs);
-    }
-  }
+  const allVisibleTabs = getVisibleTabs();
 
   // Find positions of last selected and current tabs
-  const lastSelectedIndex = allVisibleTabs.findIndex(tab => tab.id === lastSelectedTabId);
+  const lastSelectedIndex = allVisibleTabs.findIndex(tab => tab.id === anchorTabId);
   const currentIndex = allVisibleTabs.findIndex(tab => tab.id === currentTabId);
 
   // If either tab is not found, fall back to simple selection
@@ -141,381 +658,2300 @@ function handleRangeSelection(currentTabId) {
     return;
   }
 
-  // Determine the range (ensure start <= end)
-  const startIndex = Math.min(lastSelectedIndex, currentIndex);
-  const endIndex = Math.max(lastSelectedIndex, currentIndex);
-
-  // Select all tabs in the range (inclusive)
-  selectedTabs.clear();
-  for (let i = startIndex; i <= endIndex; i++) {
-    selectedTabs.add(allVisibleTabs[i].id);
+  // Determine the range (ensure start <= end)
+  const startIndex = Math.min(lastSelectedIndex, currentIndex);
+  const endIndex = Math.max(lastSelectedIndex, currentIndex);
+
+  // Select all tabs in the range (inclusive)
+  selectedTabs.clear();
+  for (let i = startIndex; i <= endIndex; i++) {
+    selectedTabs.add(allVisibleTabs[i].id);
+  }
+
+  // Update last selected to current tab
+  lastSelectedTabId = currentTabId;
+}
+
+/**
+ * Returns the tabs currently shown in the panel, in display order.
+ * Honors collapsed groups and the active search filter.
+ */
+function getVisibleTabs() {
+  const visibleTabs = [];
+  for (const groupId of groupOrder) {
+    const group = tabGroups[groupId];
+    if (group && group.displayedTabs) {
+      visibleTabs.push(...group.displayedTabs);
+    }
+  }
+  return visibleTabs;
+}
+
+/**
+ * Orders a group's tabs depth-first by opener for tree mode.
+ * A tab whose parent is not in the same group is shown as a root.
+ * @returns {{tab: Object, depth: number, hasChildren: boolean}[]}
+ */
+function getTreeEntries(group) {
+  const groupTabIds = new Set(group.tabs.map(tab => tab.id));
+  const childrenByParent = new Map();
+  const roots = [];
+
+  for (const tab of group.tabs) {
+    const parentId = tabParentMap[tab.id];
+    if (parentId && parentId !== tab.id && groupTabIds.has(parentId)) {
+      if (!childrenByParent.has(parentId)) {
+        childrenByParent.set(parentId, []);
+      }
+      childrenByParent.get(parentId).push(tab);
+    } else {
+      roots.push(tab);
+    }
+  }
+
+  const entries = [];
+  const visited = new Set();
+  const visit = (tab, depth) => {
+    if (visited.has(tab.id)) return;
+    visited.add(tab.id);
+    const children = childrenByParent.get(tab.id) || [];
+    entries.push({ tab, depth, hasChildren: children.length > 0 });
+    children.forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(tab => visit(tab, 0));
+
+  // Tabs caught in a parent cycle are never reached from a root; show them at the top level
+  group.tabs.forEach(tab => visit(tab, 0));
+  return entries;
+}
+
+/**
+ * Returns the rows a group shows, honoring the search filter, tree mode and folded subtrees
+ * @returns {{tab: Object, depth: number, hasChildren: boolean}[]}
+ */
+function getGroupRows(group, searchResult) {
+  if (searchResult) {
+    return group.tabs
+      .filter(tab => searchResult.tabMatches.has(tab.id))
+      .map(tab => ({ tab, depth: 0, hasChildren: false }));
+  }
+  if (!treeMode) {
+    return group.tabs.map(tab => ({ tab, depth: 0, hasChildren: false }));
+  }
+
+  const rows = [];
+  let hiddenBelowDepth = null;
+  for (const entry of getTreeEntries(group)) {
+    if (hiddenBelowDepth !== null && entry.depth > hiddenBelowDepth) continue;
+    hiddenBelowDepth = null;
+    rows.push(entry);
+    if (entry.hasChildren && collapsedTreeTabs.has(entry.tab.id)) {
+      hiddenBelowDepth = entry.depth;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Returns the given tab IDs plus all of their descendants in the same group
+ */
+function withDescendants(tabIds) {
+  const result = new Set(tabIds);
+  for (const tabId of tabIds) {
+    const group = tabGroups[getGroupIdOfTab(tabId)];
+    if (!group) continue;
+    const entries = getTreeEntries(group);
+    const startIndex = entries.findIndex(entry => entry.tab.id === tabId);
+    if (startIndex === -1) continue;
+    for (let i = startIndex + 1; i < entries.length && entries[i].depth > entries[startIndex].depth; i++) {
+      result.add(entries[i].tab.id);
+    }
+  }
+  return Array.from(result);
+}
+
+/**
+ * Folds or unfolds the subtree below a parent tab
+ */
+function setTreeCollapsed(tabId, collapsed) {
+  if (collapsed) {
+    collapsedTreeTabs.add(tabId);
+  } else {
+    collapsedTreeTabs.delete(tabId);
+  }
+  renderTabs();
+}
+
+/**
+ * Sends changed tree parents to the background script; a null parent makes a tab a root
+ */
+async function updateTabParents(parents) {
+  Object.assign(tabParentMap, parents);
+  try {
+    await chrome.runtime.sendMessage({ action: 'setTabParents', parents });
+  } catch (error) {
+    console.warn('Failed to update tab parents:', error);
+  }
+}
+
+/**
+ * Checks whether the character at the given index starts a word
+ */
+function isWordStart(text, index) {
+  return index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+}
+
+/**
+ * Fuzzy-matches a query against a piece of text.
+ * All query characters must appear in order; contiguous runs and matches at
+ * word starts score higher than scattered ones.
+ * @param {string} query The lower-cased search query.
+ * @param {string} text The text to match against.
+ * @returns {{score: number, indices: number[]}|null} Matched character indices, or null if no match.
+ */
+function fuzzyMatch(query, text) {
+  if (!query || !text) return null;
+  const lowerText = text.toLowerCase();
+
+  // A plain substring match always beats a scattered one
+  const substringIndex = lowerText.indexOf(query);
+  if (substringIndex !== -1) {
+    const indices = [];
+    for (let i = 0; i < query.length; i++) {
+      indices.push(substringIndex + i);
+    }
+    const wordBonus = isWordStart(lowerText, substringIndex) ? 100 : 0;
+    return { score: 1000 + wordBonus - substringIndex, indices };
+  }
+
+  const indices = [];
+  let score = 0;
+  let searchFrom = 0;
+  let previousIndex = -2;
+  for (const char of query) {
+    if (char === ' ') continue;
+    const foundIndex = lowerText.indexOf(char, searchFrom);
+    if (foundIndex === -1) return null;
+
+    score += foundIndex === previousIndex + 1 ? 10 : 1;
+    if (isWordStart(lowerText, foundIndex)) score += 5;
+
+    indices.push(foundIndex);
+    previousIndex = foundIndex;
+    searchFrom = foundIndex + 1;
+  }
+  return { score, indices };
+}
+
+/**
+ * Matches the current search query against all groups and tabs.
+ * Tabs are matched on title and URL; a matching group name keeps all of its tabs visible.
+ * @returns {Object|null} Map of groupId to { nameMatch, tabMatches }, or null if the filter is empty.
+ */
+function computeSearchResults() {
+  const query = searchQuery.trim().toLowerCase();
+  if (!query) return null;
+
+  const results = {};
+  for (const groupId of groupOrder) {
+    const group = tabGroups[groupId];
+    if (!group || !Array.isArray(group.tabs)) continue;
+
+    const nameMatch = groupId !== 'ungrouped' ? fuzzyMatch(query, group.name) : null;
+    const tabMatches = new Map();
+
+    for (const tab of group.tabs) {
+      const titleMatch = fuzzyMatch(query, tab.title || tab.url);
+      const urlMatch = fuzzyMatch(query, tab.url);
+      if (titleMatch || urlMatch) {
+        // URLs are long and noisy, so weigh them below title hits
+        const score = Math.max(titleMatch ? titleMatch.score : 0, urlMatch ? urlMatch.score / 2 : 0);
+        tabMatches.set(tab.id, { score, indices: titleMatch ? titleMatch.indices : [] });
+      } else if (nameMatch) {
+        tabMatches.set(tab.id, { score: 0, indices: [] });
+      }
+    }
+
+    if (nameMatch || tabMatches.size > 0) {
+      results[groupId] = { nameMatch, tabMatches };
+    }
+  }
+  return results;
+}
+
+/**
+ * Returns the ID of the best matching tab for the active search, or null
+ */
+function getTopSearchHit() {
+  if (!searchResults) return null;
+
+  let topTabId = null;
+  let topScore = -1;
+  for (const groupId of groupOrder) {
+    const result = searchResults[groupId];
+    if (!result) continue;
+    for (const [tabId, match] of result.tabMatches) {
+      if (match.score > topScore) {
+        topScore = match.score;
+        topTabId = tabId;
+      }
+    }
+  }
+  return topTabId;
+}
+
+/**
+ * Fills an element with text, wrapping the characters at the given indices in <mark> elements
+ */
+function setHighlightedText(el, text, indices) {
+  el.textContent = '';
+  if (!indices || indices.length === 0) {
+    el.textContent = text;
+    return;
+  }
+
+  const matched = new Set(indices);
+  let run = '';
+  let runMatched = false;
+  const flushRun = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight';
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(i);
+    if (isMatch !== runMatched) {
+      flushRun();
+      runMatched = isMatch;
+    }
+    run += text[i];
+  }
+  flushRun();
+}
+
+/**
+ * Handles typing in the search box
+ */
+function handleSearchInput() {
+  searchQuery = searchInput.value;
+  renderTabs();
+}
+
+/**
+ * Handles Enter (activate top hit) and Escape (clear filter) in the search box
+ */
+function handleSearchKeydown(e) {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    const topTabId = getTopSearchHit();
+    if (topTabId) {
+      chrome.tabs.update(topTabId, { active: true });
+      chrome.windows.update(sidepanelWindowId, { focused: true });
+    }
+  } else if (e.key === 'ArrowDown') {
+    // Hand focus over to the list, starting at the top hit when filtering
+    e.preventDefault();
+    const topTabId = getTopSearchHit();
+    const keys = getFocusableKeys();
+    focusItemByKey(topTabId && keys.includes(`tab:${topTabId}`) ? `tab:${topTabId}` : keys[0]);
+  } else if (e.key === 'Escape' && searchInput.value) {
+    e.preventDefault();
+    searchInput.value = '';
+    handleSearchInput();
+  }
+}
+
+/**
+ * Returns the focus keys of all list items (group headers and tabs) in display order.
+ * Built from the view model, since virtualized rows may not be in the DOM.
+ */
+function getFocusableKeys() {
+  const keys = [];
+  for (const groupId of renderedGroupIds) {
+    keys.push(`group:${groupId}`);
+    (tabGroups[groupId]?.displayedTabs || []).forEach(tab => keys.push(`tab:${tab.id}`));
+  }
+  return keys;
+}
+
+/**
+ * Returns the rendered element for a focus key, or null if it is not in the DOM
+ */
+function getFocusElement(key) {
+  if (!key) return null;
+  const { type, id } = parseFocusKey(key);
+  const el = type === 'tab'
+    ? tabElementCache.get(id)
+    : groupElementCache.get(id)?.querySelector('.group-header');
+  return el && el.isConnected ? el : null;
+}
+
+/**
+ * Moves the roving focus to the given list item, rendering it first if it was virtualized away
+ */
+function focusItemByKey(key) {
+  if (!key) return;
+  focusedItemKey = key;
+  // The focused row is always kept in the DOM, so a patch makes it available
+  patchDom();
+  const el = getFocusElement(key);
+  if (!el) return;
+  el.focus();
+  el.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Re-applies the roving tabindex after a patch, keeping keyboard focus on the same item
+ * @param {boolean} refocus Whether the list had focus before the patch.
+ */
+function applyRovingTabIndex(refocus) {
+  let target = getFocusElement(focusedItemKey);
+  if (!target) {
+    target = tabsContainer.querySelector('.tab-item.active') || tabsContainer.querySelector('[data-focus-key]');
+  }
+  if (!target) return;
+
+  tabsContainer.querySelectorAll('[data-focus-key]').forEach(item => {
+    item.tabIndex = item === target ? 0 : -1;
+  });
+  // Moving or removing the focused element drops focus to the body; put it back
+  if (refocus && !tabsContainer.contains(document.activeElement)) {
+    focusedItemKey = target.dataset.focusKey;
+    target.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Parses a focus key into its type and ID
+ */
+function parseFocusKey(key) {
+  const separatorIndex = key.indexOf(':');
+  const type = key.slice(0, separatorIndex);
+  const id = key.slice(separatorIndex + 1);
+  return { type, id: type === 'tab' ? parseInt(id) : id };
+}
+
+/**
+ * Returns the group ID a tab belongs to in the panel
+ */
+function getGroupIdOfTab(tabId) {
+  return groupOrder.find(groupId => tabGroups[groupId] && tabGroups[groupId].tabs.some(tab => tab.id === tabId)) || null;
+}
+
+/**
+ * Sets the collapsed state of a group, re-renders and persists it in the background
+ */
+function setGroupCollapsed(groupId, collapsed) {
+  const group = tabGroups[groupId];
+  if (!group || groupId === 'ungrouped' || searchResults || group.collapsed === collapsed) return;
+  group.collapsed = collapsed;
+  renderTabs();
+
+  chrome.runtime.sendMessage({
+    action: 'updateGroupCollapsed',
+    groupId: groupId,
+    collapsed: collapsed,
+    windowId: sidepanelWindowId
+  }).catch(error => {
+    console.warn('Failed to persist collapsed state:', error);
+  });
+}
+
+/**
+ * Persists the current group order in the background so it survives reopening the panel
+ */
+async function persistGroupOrder() {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'updateGroupOrder',
+      groupOrder: groupOrder.filter(id => id !== 'ungrouped'),
+      windowId: sidepanelWindowId
+    });
+  } catch (error) {
+    console.warn('Failed to persist group order:', error);
+  }
+}
+
+/**
+ * Closes the given tabs, moving focus to the item after them first
+ */
+function closeTabsAndKeepFocus(tabIds) {
+  const closingKeys = new Set(tabIds.map(id => `tab:${id}`));
+  const keys = getFocusableKeys();
+  const lastClosingIndex = keys.reduce((last, key, i) => closingKeys.has(key) ? i : last, -1);
+  const nextKey = keys.slice(lastClosingIndex + 1).find(key => !closingKeys.has(key))
+    || keys.slice(0, lastClosingIndex).reverse().find(key => !closingKeys.has(key));
+  if (nextKey) {
+    focusItemByKey(nextKey);
+  }
+
+  tabIds.forEach(id => selectedTabs.delete(id));
+  closeTabsWithUndo(tabIds);
+}
+
+/**
+ * Closes tabs and offers to bring them back, into the groups they were in
+ */
+async function closeTabsWithUndo(tabIds) {
+  const closedTabs = tabIds
+    .map(id => tabsById.get(id))
+    .filter(Boolean)
+    .map(tab => ({ url: tab.url, groupId: getGroupIdOfTab(tab.id) || 'ungrouped' }));
+  try {
+    await chrome.tabs.remove(tabIds);
+  } catch (error) {
+    console.error('Error closing tabs:', error);
+    return;
+  }
+  if (closedTabs.length > 0) {
+    showSnackbar(`Closed ${closedTabs.length} tab${closedTabs.length > 1 ? 's' : ''}`, () => restoreClosedTabs(closedTabs));
+  }
+}
+
+/**
+ * Restores closed tabs from chrome.sessions and puts them back into their groups
+ */
+async function restoreClosedTabs(closedTabs) {
+  try {
+    const entries = await chrome.sessions.getRecentlyClosed();
+    const restoredByGroup = new Map();
+    for (const closedTab of closedTabs) {
+      const index = entries.findIndex(entry => entry.tab && entry.tab.url === closedTab.url);
+      if (index === -1) continue;
+      const [entry] = entries.splice(index, 1);
+      try {
+        const restored = await chrome.runtime.sendMessage({ action: 'restoreClosedEntry', sessionId: entry.tab.sessionId });
+        if (!restored || !restored.success) {
+          console.error('Error restoring closed tab:', restored && restored.error);
+          continue;
+        }
+        if (closedTab.groupId !== 'ungrouped' && tabGroups[closedTab.groupId]) {
+          if (!restoredByGroup.has(closedTab.groupId)) restoredByGroup.set(closedTab.groupId, []);
+          restoredByGroup.get(closedTab.groupId).push(restored.tabId);
+        }
+      } catch (error) {
+        console.error('Error restoring closed tab:', error);
+      }
+    }
+    for (const [groupId, tabIds] of restoredByGroup) {
+      const response = await chrome.runtime.sendMessage({ action: 'updateMultipleTabGroups', tabIds, newGroupId: groupId });
+      if (!response || !response.success) {
+        console.error('Error regrouping restored tabs:', response && response.error);
+      }
+    }
+  } catch (error) {
+    console.error('Error restoring closed tabs:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Shows a message at the bottom of the panel for a few seconds, with an Undo button if onUndo is given
+ */
+function showSnackbar(message, onUndo) {
+  clearTimeout(snackbarTimeout);
+  snackbarMessage.textContent = message;
+  snackbarUndo = onUndo || null;
+  snackbarUndoBtn.hidden = !onUndo;
+  snackbar.hidden = false;
+  snackbarTimeout = setTimeout(hideSnackbar, 8000);
+}
+
+/**
+ * Hides the snackbar; its undo is no longer offered
+ */
+function hideSnackbar() {
+  clearTimeout(snackbarTimeout);
+  snackbar.hidden = true;
+  snackbarUndo = null;
+}
+
+/**
+ * Captures what undo can put back: the group of each tab, tab order, tree parents,
+ * and the order, names, colors and icons of the groups
+ */
+function captureLayout() {
+  const tabs = Object.keys(tabGroups)
+    .flatMap(groupId => tabGroups[groupId].tabs.map(tab => ({ id: tab.id, index: tab.index, groupId: groupId })))
+    .sort((a, b) => a.index - b.index);
+  const order = groupOrder.filter(groupId => groupId !== 'ungrouped' && tabGroups[groupId]);
+  const groups = {};
+  order.forEach(groupId => {
+    const group = tabGroups[groupId];
+    groups[groupId] = { name: group.name, color: group.color || null, icon: group.icon || null };
+  });
+  return {
+    tabIds: tabs.map(tab => tab.id),
+    tabGroupIds: Object.fromEntries(tabs.map(tab => [tab.id, tab.groupId])),
+    tabParents: Object.fromEntries(tabs.map(tab => [tab.id, tabParentMap[tab.id] || null])),
+    groupOrder: order,
+    groups: groups
+  };
+}
+
+/**
+ * Puts the window back to a captured layout. Tabs closed since are skipped and
+ * tabs opened since are left where they are.
+ */
+async function applyLayout(layout) {
+  const windowId = sidepanelWindowId;
+
+  for (const groupId of layout.groupOrder) {
+    const group = layout.groups[groupId];
+    if (!tabGroups[groupId]) {
+      await chrome.runtime.sendMessage({ action: 'createGroup', groupId: groupId, groupName: group.name, windowId: windowId });
+      await chrome.runtime.sendMessage({ action: 'updateGroupAppearance', groupId: groupId, color: group.color, icon: group.icon, windowId: windowId });
+    } else if (tabGroups[groupId].name !== group.name) {
+      await chrome.runtime.sendMessage({ action: 'updateGroupName', groupId: groupId, groupName: group.name, windowId: windowId });
+    }
+  }
+
+  const windowTabs = await chrome.tabs.query({ windowId: windowId });
+  const unpinnedTabIds = new Set(windowTabs.filter(tab => !tab.pinned).map(tab => tab.id));
+  const tabIds = layout.tabIds.filter(tabId => unpinnedTabIds.has(tabId));
+
+  const tabIdsByGroup = new Map();
+  tabIds.forEach(tabId => {
+    const groupId = layout.tabGroupIds[tabId];
+    if (getGroupIdOfTab(tabId) === groupId) return;
+    if (!tabIdsByGroup.has(groupId)) tabIdsByGroup.set(groupId, []);
+    tabIdsByGroup.get(groupId).push(tabId);
+  });
+  for (const [groupId, groupTabIds] of tabIdsByGroup) {
+    await chrome.runtime.sendMessage({ action: 'updateMultipleTabGroups', tabIds: groupTabIds, newGroupId: groupId, windowId: windowId });
+  }
+
+  // Groups created after the layout was captured go away; any tabs left in them become ungrouped
+  for (const groupId in tabGroups) {
+    if (groupId !== 'ungrouped' && !layout.groups[groupId]) {
+      await chrome.runtime.sendMessage({ action: 'deleteGroup', groupId: groupId, windowId: windowId });
+    }
+  }
+  await chrome.runtime.sendMessage({ action: 'updateGroupOrder', groupOrder: layout.groupOrder, windowId: windowId });
+
+  const parents = {};
+  tabIds
+    .filter(tabId => (tabParentMap[tabId] || null) !== layout.tabParents[tabId])
+    .forEach(tabId => { parents[tabId] = layout.tabParents[tabId]; });
+  if (Object.keys(parents).length > 0) {
+    await updateTabParents(parents);
+  }
+
+  const currentOrder = windowTabs.map(tab => tab.id).filter(tabId => tabIds.includes(tabId));
+  if (currentOrder.some((tabId, i) => tabId !== tabIds[i])) {
+    const pinnedCount = windowTabs.length - unpinnedTabIds.size;
+    await chrome.tabs.move(tabIds, { index: pinnedCount });
+  }
+}
+
+/**
+ * Makes a history entry that puts back a captured layout. Like every history entry,
+ * reverting it returns the entry that reverses the revert.
+ */
+function createLayoutEntry(label, layout) {
+  const entry = {
+    label: label,
+    layout: layout,
+    revert: async () => {
+      const currentLayout = captureLayout();
+      await applyLayout(entry.layout);
+      return createLayoutEntry(label, currentLayout);
+    }
+  };
+  return entry;
+}
+
+/**
+ * Points the layouts in the history at a group's new ID, as a reopened group gets a new one
+ */
+function renameGroupInHistory(oldGroupId, newGroupId) {
+  if (oldGroupId === newGroupId) return;
+  [...undoStack, ...redoStack].forEach(entry => {
+    const layout = entry.layout;
+    if (!layout || !layout.groups[oldGroupId]) return;
+    if (!layout.groups[newGroupId]) {
+      layout.groups[newGroupId] = layout.groups[oldGroupId];
+    }
+    delete layout.groups[oldGroupId];
+    layout.groupOrder = layout.groupOrder.filter(id => id !== newGroupId).map(id => id === oldGroupId ? newGroupId : id);
+    for (const tabId in layout.tabGroupIds) {
+      if (layout.tabGroupIds[tabId] === oldGroupId) {
+        layout.tabGroupIds[tabId] = newGroupId;
+      }
+    }
+  });
+}
+
+/**
+ * Makes a history entry that reopens a closed group at its old place in the group order.
+ * groupId is the ID the group had before it was closed.
+ */
+function createClosedGroupEntry(label, closedGroupId, groupId, orderIndex) {
+  return {
+    label: label,
+    revert: async () => {
+      const response = await chrome.runtime.sendMessage({
+        action: 'reopenClosedGroup',
+        closedGroupId: closedGroupId,
+        windowId: sidepanelWindowId
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background script');
+      }
+      await debouncedUpdateTabs();
+      const order = groupOrder.filter(id => id !== 'ungrouped' && id !== response.groupId);
+      order.splice(orderIndex, 0, response.groupId);
+      groupOrder = ['ungrouped', ...order];
+      await persistGroupOrder();
+      renameGroupInHistory(groupId, response.groupId);
+      return createReopenedGroupEntry(label, response.groupId);
+    }
+  };
+}
+
+/**
+ * Makes a history entry that closes a reopened group again
+ */
+function createReopenedGroupEntry(label, groupId) {
+  return {
+    label: label,
+    revert: async () => {
+      const orderIndex = groupOrder.filter(id => id !== 'ungrouped').indexOf(groupId);
+      const response = await chrome.runtime.sendMessage({
+        action: 'closeGroup',
+        groupId: groupId,
+        windowId: sidepanelWindowId
+      });
+      if (!response || !response.success || !response.closedGroupId) {
+        throw new Error(response && response.error ? response.error : 'The group could not be closed');
+      }
+      return createClosedGroupEntry(label, response.closedGroupId, groupId, orderIndex);
+    }
+  };
+}
+
+/**
+ * Adds an operation to the undo history and drops the redo history
+ */
+function pushHistoryEntry(entry) {
+  undoStack.push(entry);
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  return entry;
+}
+
+/**
+ * Records an operation that changed the layout; layoutBefore is captured before the change
+ */
+function recordLayoutChange(label, layoutBefore) {
+  return pushHistoryEntry(createLayoutEntry(label, layoutBefore));
+}
+
+/**
+ * Reverts an entry of one history stack and pushes the entry that reverses it onto the
+ * other stack. Only one entry is reverted at a time.
+ */
+async function revertHistoryEntry(entry, fromStack, toStack) {
+  const index = fromStack.lastIndexOf(entry);
+  if (isApplyingHistory || index === -1) return false;
+  fromStack.splice(index, 1);
+  isApplyingHistory = true;
+  try {
+    // Start from the current browser state rather than what the panel last rendered
+    await debouncedUpdateTabs();
+    toStack.push(await entry.revert());
+    return true;
+  } catch (error) {
+    console.error(`Failed to revert "${entry.label}":`, error);
+    return false;
+  } finally {
+    isApplyingHistory = false;
+    await debouncedUpdateTabs();
+  }
+}
+
+/**
+ * Undoes the most recent operation
+ */
+async function undoLastOperation() {
+  const entry = undoStack[undoStack.length - 1];
+  if (entry && await revertHistoryEntry(entry, undoStack, redoStack)) {
+    showSnackbar(`Undone: ${entry.label}`);
+  }
+}
+
+/**
+ * Redoes the most recently undone operation
+ */
+async function redoLastOperation() {
+  const entry = redoStack[redoStack.length - 1];
+  if (entry && await revertHistoryEntry(entry, redoStack, undoStack)) {
+    showSnackbar(`Redone: ${entry.label}`);
+  }
+}
+
+/**
+ * Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes, unless a text field has focus
+ */
+function handleHistoryKeydown(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const target = e.target;
+  if (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoLastOperation();
+  } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+    e.preventDefault();
+    redoLastOperation();
+  }
+}
+
+/**
+ * Keyboard handler for the tab list, implementing roving focus across groups and tabs
+ */
+function handleListKeydown(e) {
+  // Leave keys alone while a group name is being edited
+  if (e.target.isContentEditable || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const keys = getFocusableKeys();
+  const currentEl = e.target.closest('[data-focus-key]');
+  if (!currentEl || keys.length === 0) return;
+
+  const currentIndex = keys.indexOf(currentEl.dataset.focusKey);
+  const { type, id } = parseFocusKey(currentEl.dataset.focusKey);
+
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      let nextIndex = currentIndex + step;
+      // Shift+Arrow only walks over tabs so the range stays contiguous
+      if (e.shiftKey) {
+        while (keys[nextIndex] && !keys[nextIndex].startsWith('tab:')) {
+          nextIndex += step;
+        }
+      }
+      const nextKey = keys[nextIndex];
+      if (!nextKey) return;
+
+      if (e.shiftKey) {
+        const nextTabId = parseFocusKey(nextKey).id;
+        if (!keyboardRangeAnchorId) {
+          keyboardRangeAnchorId = type === 'tab' ? id : nextTabId;
+        }
+        handleRangeSelection(nextTabId, keyboardRangeAnchorId);
+        renderTabs();
+      } else {
+        keyboardRangeAnchorId = null;
+      }
+      focusItemByKey(nextKey);
+      break;
+    }
+    case 'Home':
+    case 'End':
+      e.preventDefault();
+      keyboardRangeAnchorId = null;
+      focusItemByKey(e.key === 'Home' ? keys[0] : keys[keys.length - 1]);
+      break;
+    case 'ArrowLeft':
+      e.preventDefault();
+      if (type === 'group') {
+        setGroupCollapsed(id, true);
+      } else if (currentEl.querySelector('.tree-twisty') && !collapsedTreeTabs.has(id)) {
+        setTreeCollapsed(id, true);
+      } else {
+        focusItemByKey(`group:${getGroupIdOfTab(id)}`);
+      }
+      break;
+    case 'ArrowRight':
+      e.preventDefault();
+      if (type === 'group') {
+        setGroupCollapsed(id, false);
+      } else if (collapsedTreeTabs.has(id)) {
+        setTreeCollapsed(id, false);
+      }
+      break;
+    case 'Enter':
+      e.preventDefault();
+      keyboardRangeAnchorId = null;
+      if (type === 'tab') {
+        selectedTabs.clear();
+        selectedTabs.add(id);
+        lastSelectedTabId = id;
+        chrome.tabs.update(id, { active: true });
+        renderTabs();
+      } else if (tabGroups[id]) {
+        setGroupCollapsed(id, !tabGroups[id].collapsed);
+      }
+      break;
+    case ' ':
+      e.preventDefault();
+      if (type === 'tab') {
+        keyboardRangeAnchorId = null;
+        if (selectedTabs.has(id)) {
+          selectedTabs.delete(id);
+        } else {
+          selectedTabs.add(id);
+          lastSelectedTabId = id;
+        }
+        renderTabs();
+      }
+      break;
+    case 'Delete':
+      e.preventDefault();
+      keyboardRangeAnchorId = null;
+      if (type === 'tab') {
+        // Close the whole selection when the focused tab is part of it
+        const tabIds = selectedTabs.has(id) ? Array.from(selectedTabs) : [id];
+        closeTabsAndKeepFocus(tabIds);
+      } else if (id !== 'ungrouped' && tabGroups[id]) {
+        // A single stray key press shouldn't close a whole group
+        const group = tabGroups[id];
+        if (confirm(`Close the group "${group.name}" and its ${group.tabs.length} tab${group.tabs.length === 1 ? '' : 's'}?`)) {
+          deleteGroupAndTabs(id);
+        }
+      }
+      break;
+    case 'F2': {
+      e.preventDefault();
+      const groupId = type === 'group' ? id : getGroupIdOfTab(id);
+      if (groupId && groupId !== 'ungrouped') {
+        const groupEl = tabsContainer.querySelector(`.tab-group[data-group-id="${groupId}"]`);
+        focusedItemKey = `group:${groupId}`;
+        focusAndEditGroupName(groupEl?.querySelector('.group-name'));
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Handles the "Add to New Group" functionality
+ */
+async function handleAddToNewGroup(tabIds) {
+  if (!tabIds || tabIds.length === 0) {
+    console.error('No tab selected for grouping');
+    return;
+  }
+
+  try {
+    const newGroupId = `group-${Date.now()}`;
+    const groupName = 'New Group';
+    const layoutBefore = captureLayout();
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'addTabToNewGroup',
+      tabId: tabIds[0],
+      groupId: newGroupId,
+      groupName: groupName,
+      windowId: sidepanelWindowId
+    });
+
+    if (response && response.success && tabIds.length > 1) {
+      await chrome.runtime.sendMessage({
+        action: 'updateMultipleTabGroups',
+        tabIds: tabIds,
+        newGroupId: newGroupId,
+        windowId: sidepanelWindowId
+      });
+    }
+
+    if (response && response.success) {
+      recordLayoutChange('Add to new group', layoutBefore);
+      await debouncedUpdateTabs();
+      
+      const groupEl = document.querySelector(`.tab-group[data-group-id="${newGroupId}"]`);
+      if (groupEl) {
+        const groupNameEl = groupEl.querySelector('.group-name');
+        focusAndEditGroupName(groupNameEl);
+      }
+    }
+  } catch (error) {
+    console.error('Error adding tab to new group:', error);
+    alert('Failed to create new group. Please try again.');
+  }
+}
+
+/**
+ * Rebuilds the view model (visible groups and rows) and patches the DOM to match it.
+ * Elements are keyed by tab and group ID and reused across renders, so only what
+ * changed is touched and listeners are attached once per element.
+ */
+function renderTabs() {
+  // Safety check to ensure tabGroups is valid
+  if (!tabGroups || typeof tabGroups !== 'object') {
+    console.error('Invalid tabGroups data:', tabGroups);
+    return;
+  }
+
+  // While a search is active, groups without matches are hidden and the rest are
+  // shown expanded. Each group's own collapsed flag is left untouched so it comes
+  // back as soon as the filter is cleared.
+  searchResults = computeSearchResults();
+  topSearchHitId = getTopSearchHit();
+
+  tabsById = new Map();
+  pinnedTabs.forEach(tab => tabsById.set(tab.id, tab));
+  renderedGroupIds = [];
+  for (const groupId of groupOrder) {
+    const group = tabGroups[groupId];
+    if (!group) continue;
+
+    // Safety check for group data
+    if (!Array.isArray(group.tabs)) {
+      console.warn('Invalid group data for groupId:', groupId, group);
+      continue;
+    }
+    group.tabs.forEach(tab => tabsById.set(tab.id, tab));
+
+    const searchResult = searchResults ? searchResults[groupId] : null;
+    if (searchResults && !searchResult) {
+      group.rows = null;
+      group.displayedTabs = [];
+      continue;
+    }
+    const isCollapsed = searchResults ? false : group.collapsed;
+    group.rows = isCollapsed ? null : getGroupRows(group, searchResult);
+    group.displayedTabs = group.rows ? group.rows.map(row => row.tab) : [];
+    renderedGroupIds.push(groupId);
+  }
+
+  // Drop cached elements for groups and tabs that no longer exist
+  for (const groupId of groupElementCache.keys()) {
+    if (!tabGroups[groupId]) {
+      groupElementCache.delete(groupId);
+      tabListCache.delete(groupId);
+    }
+  }
+  for (const tabId of tabElementCache.keys()) {
+    if (!tabsById.has(tabId)) {
+      tabElementCache.delete(tabId);
+    }
+  }
+  for (const tabId of pinnedElementCache.keys()) {
+    if (!tabsById.has(tabId)) {
+      pinnedElementCache.delete(tabId);
+    }
+  }
+
+  duplicateTabIds = new Set(findDuplicateTabSets().flat().map(tab => tab.id));
+  mergeDuplicatesBtn.disabled = duplicateTabIds.size === 0;
+
+  patchDom();
+}
+
+/**
+ * Brings the DOM in line with the current view model. Only rows within the viewport
+ * (plus an overscan margin) are rendered; the rest of each list is filled by spacers.
+ */
+function patchDom() {
+  const listHadFocus = tabsContainer.contains(document.activeElement);
+
+  // The strip sits above the list, so it is patched first for the list to measure correctly
+  patchPinnedStrip();
+
+  if (searchResults && renderedGroupIds.length === 0) {
+    if (!searchEmptyEl) {
+      searchEmptyEl = document.createElement('div');
+      searchEmptyEl.className = 'search-empty';
+      searchEmptyEl.textContent = 'No matching tabs';
+    }
+    reconcileChildren(tabsContainer, [searchEmptyEl]);
+    return;
+  }
+
+  const nodes = [];
+  if (groupOrder.length > 0) {
+    nodes.push(getGroupDropIndicator(0));
+  }
+  for (const groupId of renderedGroupIds) {
+    let groupEl = groupElementCache.get(groupId);
+    if (!groupEl) {
+      groupEl = createGroupElement(groupId);
+      groupElementCache.set(groupId, groupEl);
+    }
+    nodes.push(groupEl);
+    // Indices follow the full group order so drops land correctly while some groups are filtered out
+    nodes.push(getGroupDropIndicator(groupOrder.indexOf(groupId) + 1));
+  }
+  reconcileChildren(tabsContainer, nodes);
+
+  // Patch top to bottom so each list is measured after the ones above it have their final height
+  for (const groupId of renderedGroupIds) {
+    const groupEl = groupElementCache.get(groupId);
+    patchGroupHeader(groupEl, groupId);
+    patchTabList(groupEl, groupId);
+  }
+
+  applyRovingTabIndex(listHadFocus);
+}
+
+/**
+ * Schedules a DOM patch for the next frame, used while scrolling and resizing
+ */
+function schedulePatchDom() {
+  if (patchFrameRequested) return;
+  patchFrameRequested = true;
+  requestAnimationFrame(() => {
+    patchFrameRequested = false;
+    patchDom();
+  });
+}
+
+/**
+ * Makes the children of a parent exactly the given nodes, in order, moving as little as possible
+ */
+function reconcileChildren(parent, nodes) {
+  const wanted = new Set(nodes);
+  Array.from(parent.childNodes).forEach(child => {
+    if (!wanted.has(child)) child.remove();
+  });
+
+  let cursor = parent.firstChild;
+  nodes.forEach(node => {
+    if (node === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      parent.insertBefore(node, cursor);
+    }
+  });
+}
+
+/**
+ * Returns the cached group drop indicator for a position in the group order
+ */
+function getGroupDropIndicator(index) {
+  let indicator = groupDropIndicatorCache.get(index);
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'group-drop-indicator';
+    indicator.dataset.groupDropIndex = index.toString();
+    groupDropIndicatorCache.set(index, indicator);
+  }
+  return indicator;
+}
+
+/**
+ * Creates the element for a group. Listeners look the group up by ID when they fire,
+ * so the element stays valid as the group's data changes.
+ */
+function createGroupElement(groupId) {
+  const groupEl = document.createElement('div');
+  groupEl.className = 'tab-group';
+  groupEl.dataset.groupId = groupId;
+
+  const groupHeader = document.createElement('div');
+  groupHeader.className = 'group-header';
+  groupHeader.dataset.focusKey = `group:${groupId}`;
+  groupHeader.tabIndex = -1;
+
+  const groupHeaderLeft = document.createElement('div');
+  groupHeaderLeft.className = 'group-header-left';
+
+  if (groupId !== 'ungrouped') {
+    const collapseBtn = document.createElement('button');
+    collapseBtn.className = 'collapse-btn';
+    collapseBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setGroupCollapsed(groupId, !tabGroups[groupId].collapsed);
+    });
+    groupHeaderLeft.appendChild(collapseBtn);
+
+    const colorSwatch = document.createElement('button');
+    colorSwatch.className = 'group-color-swatch';
+    colorSwatch.title = 'Change group color and icon';
+    colorSwatch.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showGroupAppearancePicker(colorSwatch, groupId);
+    });
+    groupHeaderLeft.appendChild(colorSwatch);
+
+    const suspendedBadge = document.createElement('span');
+    suspendedBadge.className = 'group-suspended-badge';
+    suspendedBadge.textContent = '💤';
+    suspendedBadge.title = 'Suspended: tabs reload when activated';
+    groupHeaderLeft.appendChild(suspendedBadge);
+
+    // Make group header draggable for reordering groups
+    groupHeader.addEventListener('dragstart', handleGroupDragStart);
+    groupHeader.addEventListener('dragend', handleGroupDragEnd);
+  }
+
+  const groupName = document.createElement('span');
+  groupName.className = 'group-name';
+
+  if (groupId !== 'ungrouped') {
+    groupName.contentEditable = false;
+    groupName.addEventListener('dblclick', (e) => {
+      const el = e.currentTarget;
+      el.contentEditable = true;
+      // Show only the group name for editing (without tab count)
+      el.textContent = tabGroups[groupId].name;
+      el.focus();
+      // Select text for easy editing
+      const selection = window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    });
+  }
+
+  groupName.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+          e.preventDefault();
+          e.stopPropagation();
+          e.target.blur();
+          groupHeader.focus();
+      } else if (e.key === 'Escape') {
+          // Cancel the edit by restoring the current name before blurring
+          e.preventDefault();
+          e.stopPropagation();
+          e.target.textContent = tabGroups[groupId].name;
+          e.target.blur();
+          groupHeader.focus();
+      }
+  });
+  groupName.addEventListener('blur', async (e) => {
+    if (groupId !== 'ungrouped') {
+      e.currentTarget.contentEditable = false;
+    }
+    const nameEl = e.target;
+    const newName = nameEl.textContent;
+    if (newName.trim() !== '' && groupId !== 'ungrouped' && newName.trim() !== tabGroups[groupId].name) {
+      const oldName = tabGroups[groupId].name;
+      const layoutBefore = captureLayout();
+      tabGroups[groupId].name = newName.trim();
+
+      // Sync group name change to background script
+      try {
+        await chrome.runtime.sendMessage({
+          action: 'updateGroupName',
+          groupId: groupId,
+          groupName: newName.trim(),
+          windowId: sidepanelWindowId
+        });
+        recordLayoutChange(`Rename "${oldName}"`, layoutBefore);
+      } catch (error) {
+        console.warn('Failed to update group name in background script:', error);
+        // Revert on error
+        tabGroups[groupId].name = oldName;
+      }
+    }
+    // Redraw the name with its tab count (and any search highlight)
+    highlightSignatures.delete(nameEl);
+    renderTabs();
+  });
+
+  groupHeaderLeft.appendChild(groupName);
+  groupHeader.appendChild(groupHeaderLeft);
+
+  if (groupId !== 'ungrouped') {
+    const groupControls = document.createElement('div');
+    groupControls.className = 'group-controls';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'move-group-btn move-group-up';
+    upBtn.innerHTML = '&#9650;'; // Up arrow
+    upBtn.title = 'Move group up';
+    upBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveGroup(groupId, 'up');
+    });
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'move-group-btn move-group-down';
+    downBtn.innerHTML = '&#9660;'; // Down arrow
+    downBtn.title = 'Move group down';
+    downBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveGroup(groupId, 'down');
+    });
+
+    groupControls.appendChild(upBtn);
+    groupControls.appendChild(downBtn);
+
+    const deleteGroupBtn = document.createElement('button');
+    deleteGroupBtn.className = 'delete-group-btn';
+    deleteGroupBtn.textContent = 'X';
+    deleteGroupBtn.title = 'Delete group and close tabs';
+    deleteGroupBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteGroupAndTabs(groupId);
+    });
+    groupControls.appendChild(deleteGroupBtn);
+    groupHeader.appendChild(groupControls);
+  }
+
+  groupHeader.addEventListener('contextmenu', (e) => {
+    if (e.target.isContentEditable) return;
+    e.preventDefault();
+    e.stopPropagation();
+    showGroupContextMenu(e.clientX, e.clientY, groupId);
+  });
+
+  groupEl.appendChild(groupHeader);
+
+  groupEl.addEventListener('dragover', handleDragOver);
+  groupEl.addEventListener('drop', handleDrop);
+  groupEl.addEventListener('dragleave', handleDragLeave);
+
+  return groupEl;
+}
+
+/**
+ * Updates a group header to match the group's current state
+ */
+function patchGroupHeader(groupEl, groupId) {
+  const group = tabGroups[groupId];
+  const groupHeader = groupEl.querySelector('.group-header');
+  const searchResult = searchResults ? searchResults[groupId] : null;
+
+  if (groupId !== 'ungrouped') {
+    const collapseBtn = groupHeader.querySelector('.collapse-btn');
+    const collapseText = group.rows ? '-' : '+';
+    if (collapseBtn.textContent !== collapseText) collapseBtn.textContent = collapseText;
+    collapseBtn.disabled = !!searchResults;
+
+    const colorSwatch = groupHeader.querySelector('.group-color-swatch');
+    const colorValue = group.color && GROUP_COLOR_VALUES[group.color];
+    colorSwatch.style.backgroundColor = colorValue || '';
+    colorSwatch.classList.toggle('no-color', !colorValue);
+
+    let groupIcon = groupHeader.querySelector('.group-icon');
+    if (group.icon) {
+      if (!groupIcon) {
+        groupIcon = document.createElement('span');
+        groupIcon.className = 'group-icon';
+        colorSwatch.after(groupIcon);
+      }
+      if (groupIcon.textContent !== group.icon) groupIcon.textContent = group.icon;
+    } else if (groupIcon) {
+      groupIcon.remove();
+    }
+
+    const groupedOrder = groupOrder.filter(id => id !== 'ungrouped');
+    const groupIndex = groupedOrder.indexOf(groupId);
+    groupHeader.querySelector('.move-group-up').disabled = groupIndex === 0;
+    groupHeader.querySelector('.move-group-down').disabled = groupIndex === groupedOrder.length - 1;
+
+    groupHeader.classList.toggle('suspended', isGroupSuspended(group));
+
+    // Drop positions assume an unfiltered list
+    groupHeader.draggable = !searchResults;
+  }
+
+  // Leave the name alone while it is being edited
+  const groupName = groupHeader.querySelector('.group-name');
+  if (!groupName.isContentEditable) {
+    // Display group name with tab count in square brackets
+    setHighlightedTextIfChanged(groupName, group.name, searchResult?.nameMatch?.indices, ` [${group.tabs.length}]`);
+  }
+}
+
+/**
+ * Renders the visible window of a group's rows, keeping the focused and dragged rows
+ * in the DOM even when they are scrolled out of view
+ */
+function patchTabList(groupEl, groupId) {
+  const group = tabGroups[groupId];
+  let tabList = groupEl.querySelector('.tab-list');
+  if (!group.rows) {
+    if (tabList) tabList.remove();
+    return;
+  }
+  if (!tabList) {
+    tabList = document.createElement('ul');
+    tabList.className = 'tab-list';
+    groupEl.appendChild(tabList);
+  }
+
+  const rows = group.rows;
+  const listTop = tabList.getBoundingClientRect().top;
+  const firstVisible = Math.max(0, Math.floor((-VIRTUAL_OVERSCAN_PX - listTop) / TAB_ROW_HEIGHT));
+  const lastVisible = Math.min(rows.length, Math.ceil((window.innerHeight + VIRTUAL_OVERSCAN_PX - listTop) / TAB_ROW_HEIGHT));
+
+  const focusedTabId = focusedItemKey && focusedItemKey.startsWith('tab:') ? parseFocusKey(focusedItemKey).id : null;
+  const rowIndices = [];
+  for (let i = firstVisible; i < lastVisible; i++) {
+    rowIndices.push(i);
+  }
+  rows.forEach((row, i) => {
+    if ((i < firstVisible || i >= lastVisible) && (row.tab.id === focusedTabId || draggingTabIds.has(row.tab.id))) {
+      rowIndices.push(i);
+    }
+  });
+  rowIndices.sort((a, b) => a - b);
+
+  if (!tabListCache.has(groupId)) {
+    tabListCache.set(groupId, { indicators: [], spacers: [] });
+  }
+  const cache = tabListCache.get(groupId);
+  const getIndicator = (index) => {
+    if (!cache.indicators[index]) {
+      const indicator = document.createElement('div');
+      indicator.className = 'drop-indicator';
+      indicator.dataset.dropIndex = index.toString();
+      cache.indicators[index] = indicator;
+    }
+    return cache.indicators[index];
+  };
+  let spacerCount = 0;
+  const getSpacer = (rowCount) => {
+    if (!cache.spacers[spacerCount]) {
+      const spacer = document.createElement('li');
+      spacer.className = 'virtual-spacer';
+      cache.spacers[spacerCount] = spacer;
+    }
+    const spacer = cache.spacers[spacerCount++];
+    spacer.style.height = `${rowCount * TAB_ROW_HEIGHT}px`;
+    return spacer;
+  };
+
+  // Drop indicator N sits before row N, so each run of rendered rows is framed by indicators
+  const nodes = [];
+  let nextRow = 0;
+  rowIndices.forEach(index => {
+    if (index > nextRow) {
+      nodes.push(getSpacer(index - nextRow));
+    }
+    if (index === 0 || index > nextRow) {
+      nodes.push(getIndicator(index));
+    }
+
+    const row = rows[index];
+    let tabEl = tabElementCache.get(row.tab.id);
+    if (!tabEl) {
+      tabEl = createTabElement(row.tab.id);
+      tabElementCache.set(row.tab.id, tabEl);
+    }
+    patchTabElement(tabEl, row, index, group, groupId);
+    nodes.push(tabEl);
+    nodes.push(getIndicator(index + 1));
+    nextRow = index + 1;
+  });
+  if (rows.length > nextRow) {
+    nodes.push(getSpacer(rows.length - nextRow));
+  }
+
+  reconcileChildren(tabList, nodes);
+}
+
+/**
+ * Creates the element for a tab. Listeners look the tab up by ID when they fire,
+ * so the element stays valid across updates to the tab.
+ */
+function createTabElement(tabId) {
+  const tabEl = document.createElement('li');
+  tabEl.className = 'tab-item';
+  tabEl.dataset.tabId = tabId;
+  tabEl.dataset.focusKey = `tab:${tabId}`;
+  tabEl.tabIndex = -1;
+
+  const spinner = document.createElement('span');
+  spinner.className = 'tab-spinner';
+  tabEl.appendChild(spinner);
+
+  const favicon = document.createElement('img');
+  favicon.className = 'favicon';
+  tabEl.appendChild(favicon);
+
+  const title = document.createElement('span');
+  title.className = 'tab-title';
+  tabEl.appendChild(title);
+
+  const duplicateBadge = document.createElement('span');
+  duplicateBadge.className = 'tab-duplicate-badge';
+  duplicateBadge.textContent = '⧉';
+  duplicateBadge.title = 'Also open in another tab';
+  tabEl.appendChild(duplicateBadge);
+
+  const loadErrorBadge = document.createElement('span');
+  loadErrorBadge.className = 'tab-load-error-badge';
+  loadErrorBadge.textContent = '!';
+  tabEl.appendChild(loadErrorBadge);
+
+  const audioBtn = document.createElement('button');
+  audioBtn.className = 'tab-audio-btn';
+  audioBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleTabMuted(tabId);
+  });
+  tabEl.appendChild(audioBtn);
+
+  tabEl.addEventListener('mousedown', (e) => {
+    // Buttons inside the row (close, twisty, mute) handle their own clicks
+    if (e.target.closest('button')) return;
+
+    isSidePanelInteracting = true;
+    // Immediately activate tab on mousedown for responsiveness.
+    // Prevent activation if CTRL/CMD or SHIFT is held (for multi-select or range select)
+    if (!(e.ctrlKey || e.metaKey || e.shiftKey) && e.button === 0) {
+      chrome.tabs.update(tabId, { active: true });
+      chrome.windows.update(tabsById.get(tabId)?.windowId ?? sidepanelWindowId, { focused: true });
+    }
+  });
+
+  tabEl.addEventListener('mouseup', (e) => {
+    if (e.target.closest('button')) return;
+
+    // Reset the flag after the event cycle, so onActivated can see it first.
+    setTimeout(() => { isSidePanelInteracting = false; }, 0);
+
+    // Skip if modifier keys are held (handled by click handler) or not left button
+    if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+    // If a drag operation is in progress, don't treat this as a click.
+    if (isDragging) {
+      return;
+    }
+
+    // This is a normal click/mouseup. Set the selection and update last selected.
+    keyboardRangeAnchorId = null;
+    selectedTabs.clear();
+    selectedTabs.add(tabId);
+    lastSelectedTabId = tabId;
+    renderTabs();
+  });
+
+  tabEl.addEventListener('click', (e) => {
+    // Handle CTRL/CMD + click for toggle selection (multi-select)
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      if (selectedTabs.has(tabId)) {
+        selectedTabs.delete(tabId);
+      } else {
+        selectedTabs.add(tabId);
+        lastSelectedTabId = tabId;
+      }
+      renderTabs();
+    }
+    // Handle SHIFT + click for range selection
+    else if (e.shiftKey) {
+      e.preventDefault();
+      handleRangeSelection(tabId);
+      renderTabs();
+    }
+  });
+
+  // Add right-click context menu for tabs only
+  tabEl.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showTabContextMenu(e.clientX, e.clientY, tabId);
+  });
+
+  tabEl.addEventListener('dragstart', handleDragStart);
+  tabEl.addEventListener('dragend', handleDragEnd);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'close-tab-btn';
+  closeBtn.textContent = 'X';
+  closeBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    chrome.tabs.remove(tabId);
+  });
+  tabEl.appendChild(closeBtn);
+
+  return tabEl;
+}
+
+/**
+ * Updates a tab element to match its row, touching only what changed
+ */
+function patchTabElement(tabEl, row, rowIndex, group, groupId) {
+  const { tab, depth, hasChildren } = row;
+  const searchResult = searchResults ? searchResults[groupId] : null;
+  const inTree = treeMode && !searchResult;
+
+  tabEl.dataset.rowIndex = rowIndex;
+  tabEl.draggable = !searchResults;
+
+  patchTabStatus(tabEl, tab);
+
+  const tabMatch = searchResult ? searchResult.tabMatches.get(tab.id) : null;
+  setHighlightedTextIfChanged(tabEl.querySelector('.tab-title'), tab.title || tab.url, tabMatch?.indices);
+
+  tabEl.classList.toggle('active', !!tab.active);
+  tabEl.classList.toggle('selected', selectedTabs.has(tab.id));
+  tabEl.classList.toggle('search-top-hit', tab.id === topSearchHitId);
+  tabEl.classList.toggle('dragging', draggingTabIds.has(tab.id));
+  tabEl.classList.toggle('duplicate', duplicateTabIds.has(tab.id));
+
+  const colorValue = group.color && GROUP_COLOR_VALUES[group.color];
+  tabEl.classList.toggle('has-group-color', !!colorValue);
+  if (colorValue) {
+    tabEl.style.setProperty('--group-color', colorValue);
+  } else {
+    tabEl.style.removeProperty('--group-color');
+  }
+
+  tabEl.classList.toggle('tree-child', inTree && depth > 0);
+  if (inTree && depth > 0) {
+    tabEl.style.setProperty('--tree-depth', depth);
+  } else {
+    tabEl.style.removeProperty('--tree-depth');
+  }
+
+  // Twisty slot: a fold button for parents, a spacer for leaves, nothing outside tree mode
+  let twisty = tabEl.querySelector('.tree-twisty, .tree-twisty-spacer');
+  if (!inTree) {
+    if (twisty) twisty.remove();
+  } else if (hasChildren) {
+    if (!twisty || !twisty.classList.contains('tree-twisty')) {
+      if (twisty) twisty.remove();
+      twisty = document.createElement('button');
+      twisty.className = 'tree-twisty';
+      twisty.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setTreeCollapsed(tab.id, !collapsedTreeTabs.has(tab.id));
+      });
+      tabEl.insertBefore(twisty, tabEl.firstChild);
+    }
+    const isFolded = collapsedTreeTabs.has(tab.id);
+    twisty.textContent = isFolded ? '▸' : '▾';
+    twisty.title = isFolded ? 'Expand subtree' : 'Collapse subtree';
+  } else if (!twisty || !twisty.classList.contains('tree-twisty-spacer')) {
+    if (twisty) twisty.remove();
+    const spacer = document.createElement('span');
+    spacer.className = 'tree-twisty-spacer';
+    tabEl.insertBefore(spacer, tabEl.firstChild);
+  }
+}
+
+/**
+ * Calls setHighlightedText only when the text, highlight or suffix differ from the last call
+ * for this element, so unchanged rows are not rebuilt
+ */
+function setHighlightedTextIfChanged(el, text, indices, suffix = '') {
+  const signature = JSON.stringify([text, indices || null, suffix]);
+  if (highlightSignatures.get(el) === signature) return;
+  highlightSignatures.set(el, signature);
+  setHighlightedText(el, text, indices);
+  if (suffix) {
+    el.appendChild(document.createTextNode(suffix));
+  }
+}
+
+/**
+ * Reflects a tab's live state on its row or pinned icon: favicon, loading spinner,
+ * audio state, discarded or frozen dimming and the load error badge
+ */
+function patchTabStatus(el, tab) {
+  const favicon = el.querySelector('.favicon');
+  const faviconSrc = tab.favIconUrl || 'icons/icon16.png';
+  if (favicon.getAttribute('src') !== faviconSrc) {
+    favicon.src = faviconSrc;
+  }
+
+  const isMuted = !!(tab.mutedInfo && tab.mutedInfo.muted);
+  const loadError = tabLoadErrors[tab.id] || null;
+  el.classList.toggle('loading', tab.status === 'loading');
+  el.classList.toggle('discarded', !!(tab.discarded || tab.frozen));
+  el.classList.toggle('audible', !!tab.audible);
+  el.classList.toggle('muted', isMuted);
+  el.classList.toggle('has-load-error', !!loadError);
+
+  const loadErrorBadge = el.querySelector('.tab-load-error-badge');
+  if (loadErrorBadge) {
+    loadErrorBadge.title = loadError ? `Page failed to load (${loadError})` : '';
+  }
+
+  const audioBtn = el.querySelector('.tab-audio-btn');
+  if (audioBtn) {
+    const audioText = isMuted ? '🔇' : '🔊';
+    if (audioBtn.textContent !== audioText) audioBtn.textContent = audioText;
+    audioBtn.title = isMuted ? 'Unmute tab' : 'Mute tab';
+  }
+}
+
+/**
+ * Renders pinned tabs as a compact row of icons above the groups
+ */
+function patchPinnedStrip() {
+  const nodes = pinnedTabs.map(tab => {
+    let pinnedEl = pinnedElementCache.get(tab.id);
+    if (!pinnedEl) {
+      pinnedEl = createPinnedTabElement(tab.id);
+      pinnedElementCache.set(tab.id, pinnedEl);
+    }
+    pinnedEl.title = tab.title || tab.url;
+    pinnedEl.setAttribute('aria-label', pinnedEl.title);
+    pinnedEl.classList.toggle('active', !!tab.active);
+    patchTabStatus(pinnedEl, tab);
+    return pinnedEl;
+  });
+  reconcileChildren(pinnedStrip, nodes);
+}
+
+/**
+ * Creates the icon button for a pinned tab
+ */
+function createPinnedTabElement(tabId) {
+  const pinnedEl = document.createElement('button');
+  pinnedEl.className = 'pinned-tab';
+  pinnedEl.dataset.tabId = tabId;
+
+  const spinner = document.createElement('span');
+  spinner.className = 'tab-spinner';
+  pinnedEl.appendChild(spinner);
+
+  const favicon = document.createElement('img');
+  favicon.className = 'favicon';
+  pinnedEl.appendChild(favicon);
+
+  pinnedEl.addEventListener('click', () => {
+    chrome.tabs.update(tabId, { active: true });
+    chrome.windows.update(tabsById.get(tabId)?.windowId ?? sidepanelWindowId, { focused: true });
+  });
+  pinnedEl.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showPinnedTabContextMenu(e.clientX, e.clientY, tabId);
+  });
+
+  return pinnedEl;
+}
+
+/**
+ * Renders the Stashed section below the groups: one row per stash with reopen,
+ * rename (double-click the name) and discard actions
+ */
+function renderStashedSection() {
+  stashedSection.innerHTML = '';
+  stashedSection.hidden = stashedGroups.length === 0;
+  if (stashedGroups.length === 0) return;
+
+  const header = document.createElement('button');
+  header.className = 'panel-section-header';
+  header.textContent = `${stashedCollapsed ? '▸' : '▾'} Stashed (${stashedGroups.length})`;
+  header.setAttribute('aria-expanded', String(!stashedCollapsed));
+  header.addEventListener('click', () => {
+    stashedCollapsed = !stashedCollapsed;
+    renderStashedSection();
+  });
+  stashedSection.appendChild(header);
+  if (stashedCollapsed) return;
+
+  stashedGroups.forEach(stash => {
+    stashedSection.appendChild(createStashElement(stash));
+  });
+}
+
+/**
+ * Creates the row for one stashed group
+ */
+function createStashElement(stash) {
+  const stashEl = document.createElement('div');
+  stashEl.className = 'stash-item';
+  stashEl.title = `Stashed ${new Date(stash.timestamp).toLocaleString()}\n` +
+    stash.tabs.map(tab => tab.title || tab.url).join('\n');
+  const colorValue = stash.color && GROUP_COLOR_VALUES[stash.color];
+  if (colorValue) {
+    stashEl.style.borderLeftColor = colorValue;
+  }
+
+  const nameEl = document.createElement('span');
+  nameEl.className = 'stash-name';
+  nameEl.textContent = `${stash.icon ? stash.icon + ' ' : ''}${stash.name} [${stash.tabs.length}]`;
+  nameEl.addEventListener('dblclick', () => {
+    nameEl.contentEditable = true;
+    nameEl.textContent = stash.name;
+    nameEl.focus();
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(nameEl);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  });
+  nameEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      nameEl.blur();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      nameEl.textContent = stash.name;
+      nameEl.blur();
+    }
+  });
+  nameEl.addEventListener('blur', async () => {
+    nameEl.contentEditable = false;
+    const newName = nameEl.textContent.trim();
+    if (newName && newName !== stash.name) {
+      try {
+        await chrome.runtime.sendMessage({ action: 'renameStash', stashId: stash.id, name: newName });
+      } catch (error) {
+        console.error('Error renaming stash:', error);
+      }
+    }
+    // The storage listener redraws the section with the saved name
+    renderStashedSection();
+  });
+
+  const reopenBtn = document.createElement('button');
+  reopenBtn.className = 'stash-btn';
+  reopenBtn.textContent = '↩';
+  reopenBtn.title = 'Reopen in this window';
+  reopenBtn.addEventListener('click', () => reopenStash(stash.id));
+
+  const discardBtn = document.createElement('button');
+  discardBtn.className = 'stash-btn';
+  discardBtn.textContent = '✕';
+  discardBtn.title = 'Discard stash';
+  discardBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'discardStash', stashId: stash.id }).catch(error => {
+      console.error('Error discarding stash:', error);
+    });
+  });
+
+  stashEl.appendChild(nameEl);
+  stashEl.appendChild(reopenBtn);
+  stashEl.appendChild(discardBtn);
+  return stashEl;
+}
+
+/**
+ * Reopens a stashed group's tabs in this window
+ */
+async function reopenStash(stashId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'reopenStash',
+      stashId: stashId,
+      windowId: sidepanelWindowId
+    });
+    if (!response || !response.success) {
+      console.error('Error reopening stash:', response && response.error);
+      return;
+    }
+  } catch (error) {
+    console.error('Error reopening stash:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Fetches Chrome's recently closed tabs and windows and redraws the section
+ */
+async function updateRecentlyClosed() {
+  try {
+    recentlyClosedEntries = await chrome.sessions.getRecentlyClosed({ maxResults: 25 });
+  } catch (error) {
+    console.error('Error getting recently closed tabs:', error);
+    recentlyClosedEntries = [];
+  }
+  renderRecentlyClosedSection();
+}
+
+/**
+ * Renders the Recently closed section: closed groups recorded by the extension, and the
+ * tabs and windows from chrome.sessions, newest first
+ */
+function renderRecentlyClosedSection() {
+  // Tabs of a recorded group also show up one by one in chrome.sessions; list them once, in their group
+  const groupTabUrls = new Set(closedGroups.flatMap(group => group.tabs.map(tab => tab.url)));
+  const items = [
+    ...closedGroups.map(group => ({ time: group.timestamp, group })),
+    ...recentlyClosedEntries
+      .filter(entry => entry.window || (entry.tab && !groupTabUrls.has(entry.tab.url)))
+      .map(entry => ({ time: entry.lastModified * 1000, entry }))
+  ].sort((a, b) => b.time - a.time);
+
+  recentlyClosedSection.innerHTML = '';
+  recentlyClosedSection.hidden = items.length === 0;
+  if (items.length === 0) return;
+
+  const header = document.createElement('button');
+  header.className = 'panel-section-header';
+  header.textContent = `${recentlyClosedCollapsed ? '▸' : '▾'} Recently closed (${items.length})`;
+  header.setAttribute('aria-expanded', String(!recentlyClosedCollapsed));
+  header.addEventListener('click', () => {
+    recentlyClosedCollapsed = !recentlyClosedCollapsed;
+    renderRecentlyClosedSection();
+  });
+  recentlyClosedSection.appendChild(header);
+  if (recentlyClosedCollapsed) return;
+
+  items.forEach(item => {
+    recentlyClosedSection.appendChild(item.group ? createClosedGroupElement(item.group) : createClosedEntryElement(item.entry));
+  });
+}
+
+/**
+ * Creates the row of a closed group, which reopens it as a group with the same name
+ */
+function createClosedGroupElement(group) {
+  const itemEl = document.createElement('div');
+  itemEl.className = 'recently-closed-item';
+  itemEl.title = group.tabs.map(tab => tab.title || tab.url).join('\n');
+  const colorValue = group.color && GROUP_COLOR_VALUES[group.color];
+  if (colorValue) {
+    itemEl.style.borderLeftColor = colorValue;
+  }
+
+  const nameEl = document.createElement('span');
+  nameEl.className = 'recently-closed-title';
+  nameEl.textContent = `${group.icon || '📁'} ${group.name} [${group.tabs.length}]`;
+  itemEl.appendChild(nameEl);
+
+  const reopenBtn = document.createElement('button');
+  reopenBtn.className = 'stash-btn';
+  reopenBtn.textContent = '↩';
+  reopenBtn.title = 'Reopen closed group';
+  reopenBtn.addEventListener('click', () => reopenClosedGroup(group.id));
+  itemEl.appendChild(reopenBtn);
+  return itemEl;
+}
+
+/**
+ * Creates the row of a closed tab or window from chrome.sessions, which restores it on click
+ */
+function createClosedEntryElement(entry) {
+  const itemEl = document.createElement('button');
+  itemEl.className = 'recently-closed-item';
+
+  if (entry.tab) {
+    const favicon = document.createElement('img');
+    favicon.className = 'favicon';
+    favicon.src = entry.tab.favIconUrl || 'icons/icon16.png';
+    itemEl.appendChild(favicon);
+    itemEl.title = entry.tab.url;
+  }
+
+  const titleEl = document.createElement('span');
+  titleEl.className = 'recently-closed-title';
+  titleEl.textContent = entry.tab
+    ? (entry.tab.title || entry.tab.url)
+    : `🗔 Window (${entry.window.tabs.length} tab${entry.window.tabs.length > 1 ? 's' : ''})`;
+  itemEl.appendChild(titleEl);
+
+  const sessionId = entry.tab ? entry.tab.sessionId : entry.window.sessionId;
+  itemEl.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'restoreClosedEntry', sessionId }).then(response => {
+      if (!response || !response.success) {
+        console.error('Error restoring closed entry:', response && response.error);
+      }
+    }).catch(error => {
+      console.error('Error restoring closed entry:', error);
+    });
+  });
+  return itemEl;
+}
+
+/**
+ * Reopens a recently closed group in this window
+ */
+async function reopenClosedGroup(closedGroupId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'reopenClosedGroup',
+      closedGroupId: closedGroupId,
+      windowId: sidepanelWindowId
+    });
+    if (!response || !response.success) {
+      console.error('Error reopening closed group:', response && response.error);
+      return;
+    }
+  } catch (error) {
+    console.error('Error reopening closed group:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
+
+/**
+ * Loads the tabs and groups of the other windows for the all-windows view and redraws them
+ */
+async function updateOtherWindows() {
+  if (!allWindowsView) {
+    otherWindows = [];
+    renderWindowSections();
+    return;
+  }
+
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  thisWindowNumber = windows.findIndex(window => window.id === sidepanelWindowId) + 1;
+  otherWindows = await Promise.all(windows
+    .map((window, i) => ({ window, number: i + 1 }))
+    .filter(({ window }) => window.id !== sidepanelWindowId)
+    .map(async ({ window, number }) => {
+      const layout = await chrome.runtime.sendMessage({ action: 'getTabGroupMap', windowId: window.id });
+      return {
+        id: window.id,
+        number: number,
+        tabs: window.tabs,
+        tabGroupMap: layout.tabGroupMap || {},
+        groupNames: layout.groupNames || {},
+        groupOrder: layout.groupOrder || [],
+        collapsedGroups: layout.collapsedGroups || {},
+        groupColors: layout.groupColors || {},
+        groupIcons: layout.groupIcons || {}
+      };
+    }));
+  renderWindowSections();
+}
+
+/**
+ * Shows or hides the window headers and redraws the sections of the other windows
+ */
+function renderWindowSections() {
+  allWindowsBtn.setAttribute('aria-pressed', String(allWindowsView));
+  thisWindowHeader.hidden = !allWindowsView;
+  thisWindowHeader.textContent = `Window ${thisWindowNumber} (this window) · ${tabsById.size} tab${tabsById.size === 1 ? '' : 's'}`;
+  otherWindowsSection.innerHTML = '';
+  otherWindowsSection.hidden = !allWindowsView || otherWindows.length === 0;
+  if (!allWindowsView) return;
+
+  otherWindows.forEach(windowInfo => {
+    otherWindowsSection.appendChild(createWindowSectionElement(windowInfo));
+  });
+}
+
+/**
+ * Creates the section of another window: a header that focuses it, then its groups
+ */
+function createWindowSectionElement(windowInfo) {
+  const sectionEl = document.createElement('div');
+  sectionEl.className = 'window-section';
+
+  const header = document.createElement('button');
+  header.className = 'window-section-header';
+  header.textContent = `Window ${windowInfo.number} · ${windowInfo.tabs.length} tab${windowInfo.tabs.length === 1 ? '' : 's'}`;
+  header.title = 'Switch to this window';
+  header.dataset.windowId = windowInfo.id;
+  header.addEventListener('click', () => chrome.windows.update(windowInfo.id, { focused: true }));
+  addWindowDropTarget(header);
+  sectionEl.appendChild(header);
+
+  // Pinned tabs are listed with the ungrouped ones
+  const tabsByGroup = new Map([['ungrouped', []], ...windowInfo.groupOrder.map(groupId => [groupId, []])]);
+  windowInfo.tabs.forEach(tab => {
+    tabsByGroup.get(getWindowTabGroupId(windowInfo, tab)).push(tab);
+  });
+  tabsByGroup.forEach((tabs, groupId) => {
+    if (groupId === 'ungrouped' && tabs.length === 0) return;
+    sectionEl.appendChild(createWindowGroupElement(windowInfo, groupId, tabs));
+  });
+  return sectionEl;
+}
+
+/**
+ * Returns the group a tab of another window is shown in
+ */
+function getWindowTabGroupId(windowInfo, tab) {
+  const groupId = windowInfo.tabGroupMap[tab.id];
+  return !tab.pinned && groupId && windowInfo.groupNames[groupId] ? groupId : 'ungrouped';
+}
+
+/**
+ * Creates a group of another window, with a header that can be dragged to other windows
+ */
+function createWindowGroupElement(windowInfo, groupId, tabs) {
+  const groupEl = document.createElement('div');
+  groupEl.className = 'window-group';
+  groupEl.dataset.windowId = windowInfo.id;
+  groupEl.dataset.groupId = groupId;
+  addWindowDropTarget(groupEl);
+
+  const isUngrouped = groupId === 'ungrouped';
+  const collapsed = !isUngrouped && !!windowInfo.collapsedGroups[groupId];
+  const colorValue = windowInfo.groupColors[groupId] && GROUP_COLOR_VALUES[windowInfo.groupColors[groupId]];
+  if (colorValue) {
+    groupEl.style.borderLeftColor = colorValue;
+  }
+
+  const header = document.createElement('div');
+  header.className = 'window-group-header';
+  const icon = windowInfo.groupIcons[groupId];
+  const name = isUngrouped ? 'Ungrouped' : windowInfo.groupNames[groupId];
+  header.textContent = `${isUngrouped ? '' : (collapsed ? '▸ ' : '▾ ')}${icon ? icon + ' ' : ''}${name} (${tabs.length})`;
+  if (!isUngrouped) {
+    header.draggable = true;
+    header.title = 'Click to collapse or expand; drag to move the group to another window';
+    header.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('application/group-json', JSON.stringify({ groupId: groupId, windowId: windowInfo.id }));
+    });
+    header.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'updateGroupCollapsed',
+        groupId: groupId,
+        collapsed: !collapsed,
+        windowId: windowInfo.id
+      }).then(updateOtherWindows).catch(error => {
+        console.warn('Failed to persist collapsed state:', error);
+      });
+    });
+  }
+  groupEl.appendChild(header);
+
+  if (!collapsed) {
+    tabs.forEach(tab => groupEl.appendChild(createWindowTabElement(tab)));
+  }
+  return groupEl;
+}
+
+/**
+ * Creates the row of a tab in another window; clicking it switches to the tab
+ */
+function createWindowTabElement(tab) {
+  const tabEl = document.createElement('div');
+  tabEl.className = 'window-tab';
+  tabEl.classList.toggle('active', tab.active);
+  tabEl.title = tab.url || '';
+  tabEl.draggable = true;
+
+  const favicon = document.createElement('img');
+  favicon.className = 'favicon';
+  favicon.src = tab.favIconUrl || 'icons/icon16.png';
+  tabEl.appendChild(favicon);
+
+  const titleEl = document.createElement('span');
+  titleEl.className = 'window-tab-title';
+  titleEl.textContent = `${tab.pinned ? '📌 ' : ''}${tab.title || tab.url}`;
+  tabEl.appendChild(titleEl);
+
+  tabEl.addEventListener('click', () => {
+    chrome.tabs.update(tab.id, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+  tabEl.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('application/json', JSON.stringify([tab.id]));
+  });
+  return tabEl;
+}
+
+/**
+ * Lets tabs and groups be dropped on a window header or a group of the all-windows view
+ */
+function addWindowDropTarget(el) {
+  el.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    el.classList.add('drag-over');
+  });
+  el.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget || !el.contains(e.relatedTarget)) {
+      el.classList.remove('drag-over');
+    }
+  });
+  el.addEventListener('drop', handleWindowDrop);
+}
+
+/**
+ * Moves dropped tabs or a dropped group to the window of the drop target. Tabs dropped on
+ * a group join it; tabs dropped on the window header take their own groups along.
+ */
+async function handleWindowDrop(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  const targetEl = e.currentTarget;
+  targetEl.classList.remove('drag-over');
+  const windowId = Number(targetEl.dataset.windowId);
+  const groupId = targetEl.dataset.groupId || null;
+
+  const groupData = e.dataTransfer.getData('application/group-json');
+  if (groupData) {
+    const draggedGroup = JSON.parse(groupData);
+    const sourceWindowId = draggedGroup.windowId || sidepanelWindowId;
+    if (draggedGroup.groupId === 'ungrouped' || sourceWindowId === windowId) return;
+    // A group dropped on another group goes in front of it
+    const windowInfo = otherWindows.find(info => info.id === windowId);
+    const groupIndex = windowInfo && groupId ? windowInfo.groupOrder.indexOf(groupId) : -1;
+    await moveGroupToWindow(sourceWindowId, draggedGroup.groupId, windowId, groupIndex === -1 ? undefined : groupIndex);
+    return;
+  }
+
+  const tabIds = JSON.parse(e.dataTransfer.getData('application/json') || '[]');
+  if (Array.isArray(tabIds) && tabIds.length > 0) {
+    await moveTabsToWindow(tabIds, windowId, groupId);
   }
-
-  // Update last selected to current tab
-  lastSelectedTabId = currentTabId;
 }
 
 /**
- * Handles the "Add to New Group" functionality
+ * Moves tabs to a window. With a groupId they join that group, otherwise each one takes
+ * its group along.
  */
-async function handleAddToNewGroup() {
-  if (!currentTabId) {
-    console.error('No tab selected for grouping');
-    return;
+async function moveTabsToWindow(tabIds, windowId, groupId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'moveTabsToWindow',
+      tabIds: tabIds,
+      windowId: windowId,
+      groupId: groupId
+    });
+    if (!response || !response.success) {
+      console.error('Error moving tabs to window:', response && response.error);
+    }
+  } catch (error) {
+    console.error('Error moving tabs to window:', error);
+  }
+  if (windowId !== sidepanelWindowId) {
+    tabIds.forEach(id => selectedTabs.delete(id));
   }
+  await debouncedUpdateTabs();
+  return false;
+}
 
+/**
+ * Moves a group and its tabs to a window, at groupIndex in its group order if given
+ */
+async function moveGroupToWindow(sourceWindowId, groupId, windowId, groupIndex) {
   try {
-    const newGroupId = `group-${Date.now()}`;
-    const groupName = 'New Group';
-
     const response = await chrome.runtime.sendMessage({
-      action: 'addTabToNewGroup',
-      tabId: parseInt(currentTabId),
-      groupId: newGroupId,
-      groupName: groupName,
-      windowId: sidepanelWindowId
+      action: 'moveGroupToWindow',
+      sourceWindowId: sourceWindowId,
+      groupId: groupId,
+      windowId: windowId,
+      groupIndex: groupIndex
     });
-
-    if (response && response.success) {
-      await debouncedUpdateTabs();
-      
-      const groupEl = document.querySelector(`.tab-group[data-group-id="${newGroupId}"]`);
-      if (groupEl) {
-        const groupNameEl = groupEl.querySelector('.group-name');
-        focusAndEditGroupName(groupNameEl);
-      }
+    if (!response || !response.success) {
+      console.error('Error moving group to window:', response && response.error);
     }
   } catch (error) {
-    console.error('Error adding tab to new group:', error);
-    alert('Failed to create new group. Please try again.');
+    console.error('Error moving group to window:', error);
   }
+  await debouncedUpdateTabs();
+  return false;
 }
 
-function renderTabs() {
-  // Clear the container to prevent duplicates
-  tabsContainer.innerHTML = '';
-  
-  // Safety check to ensure tabGroups is valid
-  if (!tabGroups || typeof tabGroups !== 'object') {
-    console.error('Invalid tabGroups data:', tabGroups);
+/**
+ * Moves a group with its tabs into a new window of its own
+ */
+async function moveGroupToNewWindow(groupId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'moveGroupToNewWindow',
+      groupId: groupId,
+      windowId: sidepanelWindowId
+    });
+    if (!response || !response.success) {
+      console.error('Error moving group to a new window:', response && response.error);
+      return;
+    }
+  } catch (error) {
+    console.error('Error moving group to a new window:', error);
     return;
   }
-  
-  // Add drop indicator before first group
-  if (groupOrder.length > 0) {
-    const firstGroupIndicator = document.createElement('div');
-    firstGroupIndicator.className = 'group-drop-indicator';
-    firstGroupIndicator.dataset.groupDropIndex = '0';
-    tabsContainer.appendChild(firstGroupIndicator);
-  }
-  
-  for (const [index, groupId] of groupOrder.entries()) {
-    if (!tabGroups[groupId]) continue;
-    const group = tabGroups[groupId];
-    
-    // Safety check for group data
-    if (!group || !Array.isArray(group.tabs)) {
-      console.warn('Invalid group data for groupId:', groupId, group);
-      continue;
-    }
-    const groupEl = document.createElement('div');
-    groupEl.className = 'tab-group';
-    groupEl.dataset.groupId = groupId;
-
-    const groupHeader = document.createElement('div');
-    groupHeader.className = 'group-header';
-    
-    const groupHeaderLeft = document.createElement('div');
-    groupHeaderLeft.className = 'group-header-left';
+  await debouncedUpdateTabs();
+}
 
-    if (groupId !== 'ungrouped') {
-      const collapseBtn = document.createElement('button');
-      collapseBtn.className = 'collapse-btn';
-      collapseBtn.textContent = group.collapsed ? '+' : '-';
-      collapseBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        group.collapsed = !group.collapsed;
-        renderTabs();
-      });
-      groupHeaderLeft.appendChild(collapseBtn);
-      
-      // Make group header draggable for reordering groups
-      groupHeader.draggable = true;
-      groupHeader.addEventListener('dragstart', handleGroupDragStart);
-      groupHeader.addEventListener('dragend', handleGroupDragEnd);
+/**
+ * Moves the tabs of every other window into this one, a group per window
+ */
+async function mergeAllWindows() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'mergeWindowsIntoGroups',
+      windowId: sidepanelWindowId
+    });
+    if (!response || !response.success) {
+      console.error('Error merging windows:', response && response.error);
+      return;
     }
-    
-    const groupName = document.createElement('span');
-    groupName.className = 'group-name';
-    // Display group name with tab count in square brackets
-    const tabCount = group.tabs.length;
-    groupName.textContent = `${group.name} [${tabCount}]`;
-
-    if (groupId !== 'ungrouped') {
-      groupName.contentEditable = false;
-      groupName.addEventListener('dblclick', (e) => {
-        const el = e.currentTarget;
-        el.contentEditable = true;
-        // Show only the group name for editing (without tab count)
-        el.textContent = group.name;
-        el.focus();
-        // Select text for easy editing
-        const selection = window.getSelection();
-        const range = document.createRange();
-        range.selectNodeContents(el);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      });
+    if (response.mergedWindows === 0) {
+      showSnackbar('There are no other windows to merge');
     }
+  } catch (error) {
+    console.error('Error merging windows:', error);
+    return;
+  }
+  await debouncedUpdateTabs();
+}
 
-    groupName.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            e.target.blur();
-        }
-    });
-    groupName.addEventListener('blur', async (e) => {
-      if (groupId !== 'ungrouped') {
-        e.currentTarget.contentEditable = false;
-      }
-      const newName = e.target.textContent;
-      if (newName.trim() !== '' && groupId !== 'ungrouped') {
-        const oldName = tabGroups[groupId].name;
-        tabGroups[groupId].name = newName.trim();
-        
-        // Sync group name change to background script
-        try {
-          await chrome.runtime.sendMessage({
-            action: 'updateGroupName',
-            groupId: groupId,
-            groupName: newName.trim(),
-            windowId: sidepanelWindowId
-          });
-          // Update display with new name and tab count
-          const currentTabCount = tabGroups[groupId].tabs.length;
-          e.target.textContent = `${newName.trim()} [${currentTabCount}]`;
-        } catch (error) {
-          console.warn('Failed to update group name in background script:', error);
-          // Revert on error
-          tabGroups[groupId].name = oldName;
-          const currentTabCount = tabGroups[groupId].tabs.length;
-          e.target.textContent = `${oldName} [${currentTabCount}]`;
-        }
-      } else if (groupId !== 'ungrouped') {
-        // Restore display with tab count if edit was cancelled
-        const currentTabCount = tabGroups[groupId].tabs.length;
-        e.target.textContent = `${tabGroups[groupId].name} [${currentTabCount}]`;
-      }
-    });
-
-    groupHeaderLeft.appendChild(groupName);
-    groupHeader.appendChild(groupHeaderLeft);
-
-    if (groupId !== 'ungrouped') {
-      const groupControls = document.createElement('div');
-      groupControls.className = 'group-controls';
-
-      const upBtn = document.createElement('button');
-      upBtn.className = 'move-group-btn';
-      upBtn.innerHTML = '&#9650;'; // Up arrow
-      upBtn.title = 'Move group up';
-      upBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        moveGroup(groupId, 'up');
-      });
-
-      const downBtn = document.createElement('button');
-      downBtn.className = 'move-group-btn';
-      downBtn.innerHTML = '&#9660;'; // Down arrow
-      downBtn.title = 'Move group down';
-      downBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        moveGroup(groupId, 'down');
-      });
-
-      const groupedOrder = groupOrder.filter(id => id !== 'ungrouped');
-      const groupIndex = groupedOrder.indexOf(groupId);
-      if (groupIndex === 0) upBtn.disabled = true;
-      if (groupIndex === groupedOrder.length - 1) downBtn.disabled = true;
-
-      groupControls.appendChild(upBtn);
-      groupControls.appendChild(downBtn);
-
-      const deleteGroupBtn = document.createElement('button');
-      deleteGroupBtn.className = 'delete-group-btn';
-      deleteGroupBtn.textContent = 'X';
-      deleteGroupBtn.title = 'Delete group and close tabs';
-      deleteGroupBtn.addEventListener('click', async () => {
-        const tabsToClose = group.tabs.map(t => t.id);
-        if (tabsToClose.length > 0) {
-          chrome.tabs.remove(tabsToClose);
-        }
-        
-        try {
-          await chrome.runtime.sendMessage({
-            action: 'deleteGroup',
-            groupId: groupId,
-            windowId: sidepanelWindowId
-          });
-        } catch (error) {
-          console.error('Error deleting group:', error);
-        }
-        
-        delete tabGroups[groupId];
-        const orderIndex = groupOrder.indexOf(groupId);
-        if (orderIndex > -1) {
-          groupOrder.splice(orderIndex, 1);
-        }
-        renderTabs();
-      });
-      groupControls.appendChild(deleteGroupBtn);
-      groupHeader.appendChild(groupControls);
+/**
+ * Keeps a port to the background open, which tells it this window's panel is open so the
+ * toggle shortcut can close it. The port drops whenever the service worker stops; it is
+ * opened again on the next click or key press in the panel rather than right away, which
+ * would keep the service worker from ever going idle.
+ */
+function connectToBackground() {
+  const port = chrome.runtime.connect({ name: `sidepanel:${sidepanelWindowId}` });
+  port.onMessage.addListener((message) => {
+    if (message.action === 'closeSidePanel') {
+      window.close();
     }
-    
-    groupEl.appendChild(groupHeader);
-    
-    if (!group.collapsed) {
-      const tabList = document.createElement('ul');
-      tabList.className = 'tab-list';
-      
-      // Add drop indicator before first tab
-      if (group.tabs.length > 0) {
-        const firstIndicator = document.createElement('div');
-        firstIndicator.className = 'drop-indicator';
-        firstIndicator.dataset.dropIndex = '0';
-        tabList.appendChild(firstIndicator);
-      }
-
-      group.tabs.forEach((tab, index) => {
-        const tabEl = document.createElement('li');
-        tabEl.className = 'tab-item';
-        tabEl.dataset.tabId = tab.id;
-        tabEl.draggable = true;
-
-        const favicon = document.createElement('img');
-        favicon.className = 'favicon';
-        favicon.src = tab.favIconUrl || 'icons/icon16.png';
-        tabEl.appendChild(favicon);
-
-        const title = document.createElement('span');
-        title.className = 'tab-title';
-        title.textContent = tab.title || tab.url;
-        tabEl.appendChild(title);
-
-        if (tab.active) {
-          tabEl.classList.add('active');
-        }
-        if (selectedTabs.has(tab.id)) {
-          tabEl.classList.add('selected');
-        }
-
-        tabEl.addEventListener('mousedown', (e) => {
-          if (e.target.classList.contains('close-tab-btn')) return;
-
-          isSidePanelInteracting = true;
-          // Immediately activate tab on mousedown for responsiveness.
-          // Prevent activation if CTRL/CMD or SHIFT is held (for multi-select or range select)
-          if (!(e.ctrlKey || e.metaKey || e.shiftKey) && e.button === 0) {
-            chrome.tabs.update(tab.id, { active: true });
-            chrome.windows.update(tab.windowId, { focused: true });
-          }
-        });
-
-        tabEl.addEventListener('mouseup', (e) => {
-          if (e.target.classList.contains('close-tab-btn')) return;
-
-          // Reset the flag after the event cycle, so onActivated can see it first.
-          setTimeout(() => { isSidePanelInteracting = false; }, 0);
-          
-          // Skip if modifier keys are held (handled by click handler) or not left button
-          if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
-
-          // If a drag operation is in progress, don't treat this as a click.
-          if (isDragging) {
-            return;
-          }
-
-          // This is a normal click/mouseup. Set the selection and update last selected.
-          selectedTabs.clear();
-          selectedTabs.add(tab.id);
-          lastSelectedTabId = tab.id;
-          renderTabs();
-        });
-
-        tabEl.addEventListener('click', (e) => {
-          // Handle CTRL/CMD + click for toggle selection (multi-select)
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            if (selectedTabs.has(tab.id)) {
-              selectedTabs.delete(tab.id);
-            } else {
-              selectedTabs.add(tab.id);
-              lastSelectedTabId = tab.id;
-            }
-            renderTabs();
-          }
-          // Handle SHIFT + click for range selection
-          else if (e.shiftKey) {
-            e.preventDefault();
-            handleRangeSelection(tab.id);
-            renderTabs();
-          }
-        });
-
-        // Add right-click context menu for tabs only
-        tabEl.addEventListener('contextmenu', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          showContextMenu(e.clientX, e.clientY, tab.id);
-        });
+  });
+  port.onDisconnect.addListener(() => {
+    const reconnect = () => {
+      document.removeEventListener('pointerdown', reconnect, true);
+      document.removeEventListener('keydown', reconnect, true);
+      connectToBackground();
+    };
+    document.addEventListener('pointerdown', reconnect, true);
+    document.addEventListener('keydown', reconnect, true);
+  });
+}
 
-        const closeBtn = document.createElement('button');
-        closeBtn.className = 'close-tab-btn';
-        closeBtn.textContent = 'X';
-        closeBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          chrome.tabs.remove(tab.id);
-        });
-        tabEl.appendChild(closeBtn);
-        
-        tabList.appendChild(tabEl);
+/**
+ * Turns the all-windows view on or off and remembers the choice
+ */
+function setAllWindowsView(enabled) {
+  allWindowsView = enabled;
+  chrome.storage.local.set({ allWindowsView: enabled });
+  updateOtherWindows().catch(error => {
+    console.error('Error loading other windows:', error);
+  });
+}
 
-        // Add drop indicator after each tab (except the last one is handled separately)
-        const indicator = document.createElement('div');
-        indicator.className = 'drop-indicator';
-        indicator.dataset.dropIndex = (index + 1).toString();
-        tabList.appendChild(indicator);
-      });
+/**
+ * Closes every tab in a group and removes the group.
+ * The background records the group, so it can be reopened with Undo, Ctrl+Z or from Recently closed.
+ */
+async function deleteGroupAndTabs(groupId) {
+  const group = tabGroups[groupId];
+  if (!group || groupId === 'ungrouped') return;
+  const orderIndex = groupOrder.filter(id => id !== 'ungrouped').indexOf(groupId);
 
-      groupEl.appendChild(tabList);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'closeGroup',
+      groupId: groupId,
+      windowId: sidepanelWindowId
+    });
+    if (response && response.success && response.closedGroupId) {
+      const entry = pushHistoryEntry(createClosedGroupEntry(`Close "${group.name}"`, response.closedGroupId, groupId, orderIndex));
+      showSnackbar(`Closed "${group.name}"`, () => revertHistoryEntry(entry, undoStack, redoStack));
     }
-
-    groupEl.addEventListener('dragover', handleDragOver);
-    groupEl.addEventListener('drop', handleDrop);
-    groupEl.addEventListener('dragleave', handleDragLeave);
-    
-    tabsContainer.appendChild(groupEl);
-    
-    // Add drop indicator after each group
-    const groupIndicator = document.createElement('div');
-    groupIndicator.className = 'group-drop-indicator';
-    groupIndicator.dataset.groupDropIndex = (index + 1).toString();
-    tabsContainer.appendChild(groupIndicator);
+  } catch (error) {
+    console.error('Error deleting group:', error);
   }
-
-  addDragAndDropHandlers();
+  
+  delete tabGroups[groupId];
+  groupOrder = groupOrder.filter(id => id !== groupId);
+  renderTabs();
 }
 
 function moveGroup(groupId, direction) {
   const index = groupOrder.indexOf(groupId);
+  const layoutBefore = captureLayout();
 
   if (direction === 'up' && index > 1) {
     [groupOrder[index], groupOrder[index - 1]] = [groupOrder[index - 1], groupOrder[index]];
-    renderTabs();
   } else if (direction === 'down' && index > 0 && index < groupOrder.length - 1) {
     [groupOrder[index], groupOrder[index + 1]] = [groupOrder[index + 1], groupOrder[index]];
-    renderTabs();
+  } else {
+    return;
   }
+  recordLayoutChange(`Move "${tabGroups[groupId].name}"`, layoutBefore);
+  renderTabs();
+  persistGroupOrder();
 }
 
 function handleDragStart(e) {
@@ -529,11 +2965,16 @@ function handleDragStart(e) {
     // No direct re-render here, but the drop logic will use the updated selectedTabs
   }
 
+  // In tree mode a dragged parent takes its whole subtree along
+  const tabIdsToDrag = treeMode ? withDescendants(Array.from(selectedTabs)) : Array.from(selectedTabs);
+
   e.dataTransfer.effectAllowed = 'move';
-  e.dataTransfer.setData('application/json', JSON.stringify(Array.from(selectedTabs)));
+  e.dataTransfer.setData('application/json', JSON.stringify(tabIdsToDrag));
 
-  selectedTabs.forEach(id => {
-    const el = document.querySelector(`.tab-item[data-tab-id="${id}"]`);
+  // Dragged rows stay rendered even if scrolled out of view, so dragend still fires on them
+  draggingTabIds = new Set(tabIdsToDrag);
+  tabIdsToDrag.forEach(id => {
+    const el = tabElementCache.get(id);
     if (el) el.classList.add('dragging');
   });
 }
@@ -638,7 +3079,8 @@ function calculateDropPosition(e, tabListEl) {
     return isNaN(dropIndex) ? 0 : dropIndex;
   }
   
-  // Fallback to the old method if no indicator is active
+  // Fallback to the old method if no indicator is active. Rows carry their index
+  // in the full list, since virtualized lists only render some of them.
   const tabItems = Array.from(tabListEl.querySelectorAll('.tab-item'));
   if (tabItems.length === 0) return 0;
   
@@ -649,11 +3091,11 @@ function calculateDropPosition(e, tabListEl) {
     const tabCenter = tabRect.top + tabRect.height / 2;
     
     if (mouseY < tabCenter) {
-      return i; // Insert before this tab
+      return parseInt(tabItems[i].dataset.rowIndex); // Insert before this tab
     }
   }
   
-  return tabItems.length; // Insert at the end
+  return parseInt(tabItems[tabItems.length - 1].dataset.rowIndex) + 1; // Insert after the last rendered tab
 }
 
 /**
@@ -694,6 +3136,11 @@ async function handleDrop(e) {
     return false;
   }
 
+  // Tabs dragged in from another window's section join the group they were dropped on
+  if (tabIdsToMove.some(tabId => !tabsById.has(tabId))) {
+    return await moveTabsToWindow(tabIdsToMove, sidepanelWindowId, targetGroupId);
+  }
+
   const sourceGroupId = findSourceGroupId(tabIdsToMove);
   
   // Check if this is an intra-group reorder (same group)
@@ -718,16 +3165,35 @@ async function handleIntraGroupReorder(e, groupId, tabIdsToMove) {
   // Calculate the drop position
   const dropIndex = calculateDropPosition(e, tabListEl);
   
+  // The drop index counts displayed rows, which in tree mode differ from the group's tab list
+  // (tree order, folded subtrees). Resolve it to the row the tabs are dropped in front of.
+  const displayedTabs = targetGroup.displayedTabs || targetGroup.tabs;
+  const anchorTab = displayedTabs.filter(tab => !tabIdsToMove.includes(tab.id))[dropIndex] || null;
+  const orderedTabs = treeMode ? getTreeEntries(targetGroup).map(entry => entry.tab) : targetGroup.tabs;
+  
   // Get the tabs being moved
-  const tabsToMove = targetGroup.tabs.filter(tab => tabIdsToMove.includes(tab.id));
-  const remainingTabs = targetGroup.tabs.filter(tab => !tabIdsToMove.includes(tab.id));
+  const tabsToMove = orderedTabs.filter(tab => tabIdsToMove.includes(tab.id));
+  const remainingTabs = orderedTabs.filter(tab => !tabIdsToMove.includes(tab.id));
+  const insertIndex = anchorTab ? remainingTabs.indexOf(anchorTab) : remainingTabs.length;
   
+  const layoutBefore = captureLayout();
+
   // Insert moved tabs at the drop position
   const newTabOrder = [
-    ...remainingTabs.slice(0, dropIndex),
+    ...remainingTabs.slice(0, insertIndex),
     ...tabsToMove,
-    ...remainingTabs.slice(dropIndex)
+    ...remainingTabs.slice(insertIndex)
   ];
+
+  // In tree mode the moved subtrees become siblings of the tab they were dropped in front of
+  if (treeMode) {
+    const newParentId = anchorTab ? (tabParentMap[anchorTab.id] || null) : null;
+    const parents = {};
+    tabsToMove
+      .filter(tab => !tabIdsToMove.includes(tabParentMap[tab.id]))
+      .forEach(tab => { parents[tab.id] = newParentId; });
+    await updateTabParents(parents);
+  }
   
   // Update local state
   targetGroup.tabs = newTabOrder;
@@ -753,6 +3219,7 @@ async function handleIntraGroupReorder(e, groupId, tabIdsToMove) {
     return false;
   }
   
+  recordLayoutChange(`Reorder tabs in "${targetGroup.name}"`, layoutBefore);
   renderTabs();
   return false;
 }
@@ -761,6 +3228,8 @@ async function handleIntraGroupReorder(e, groupId, tabIdsToMove) {
  * Handles moving tabs between different groups
  */
 async function handleInterGroupMove(targetGroupId, tabIdsToMove) {
+  const layoutBefore = captureLayout();
+
   // Atomically update the background script with the new group for all moved tabs.
   try {
     await chrome.runtime.sendMessage({
@@ -775,6 +3244,15 @@ async function handleInterGroupMove(targetGroupId, tabIdsToMove) {
     return false; // Stop execution if the background update fails
   }
 
+  // Moved subtrees start at the top level of their new group
+  if (treeMode) {
+    const parents = {};
+    tabIdsToMove
+      .filter(tabId => !tabIdsToMove.includes(tabParentMap[tabId]))
+      .forEach(tabId => { parents[tabId] = null; });
+    await updateTabParents(parents);
+  }
+
   const tabsMoved = [];
 
   // After successful background update, update the local state for immediate UI feedback.
@@ -799,6 +3277,8 @@ async function handleInterGroupMove(targetGroupId, tabIdsToMove) {
     return a.index - b.index;
   });
 
+  const plural = tabsMoved.length === 1 ? '' : 's';
+  recordLayoutChange(`Move ${tabsMoved.length} tab${plural} to "${tabGroups[targetGroupId].name}"`, layoutBefore);
   renderTabs();
   return false;
 }
@@ -825,6 +3305,12 @@ function handleGroupDrop(e, droppedOnGroupEl, groupData) {
   if (isNaN(dropIndex)) {
     return false;
   }
+
+  // A group from another window moves here, in front of the group it was dropped on
+  if (parsedGroupData.windowId && parsedGroupData.windowId !== sidepanelWindowId) {
+    moveGroupToWindow(parsedGroupData.windowId, draggedGroupId, sidepanelWindowId, Math.max(0, dropIndex - 1));
+    return false;
+  }
   
   // Find current index of the dragged group
   const draggedIndex = groupOrder.indexOf(draggedGroupId);
@@ -843,6 +3329,8 @@ function handleGroupDrop(e, droppedOnGroupEl, groupData) {
     return false;
   }
   
+  recordLayoutChange(`Move "${tabGroups[draggedGroupId].name}"`, captureLayout());
+
   // Remove the dragged group from its current position
   groupOrder.splice(draggedIndex, 1);
   
@@ -853,12 +3341,14 @@ function handleGroupDrop(e, droppedOnGroupEl, groupData) {
   
   // Re-render to show the new order
   renderTabs();
+  persistGroupOrder();
   
   return false;
 }
 
 function handleDragEnd(e) {
   isDragging = false;
+  draggingTabIds = new Set();
   setTimeout(() => { isSidePanelInteracting = false; }, 0); // Also reset here
 
   const items = document.querySelectorAll('.tab-item');
@@ -884,7 +3374,7 @@ function handleGroupDragStart(e) {
   const groupId = groupEl.dataset.groupId;
   
   e.dataTransfer.effectAllowed = 'move';
-  e.dataTransfer.setData('application/group-json', JSON.stringify({ groupId: groupId }));
+  e.dataTransfer.setData('application/group-json', JSON.stringify({ groupId: groupId, windowId: sidepanelWindowId }));
   
   groupEl.classList.add('dragging');
 }
@@ -908,24 +3398,20 @@ function handleGroupDragEnd(e) {
   allGroupIndicators.forEach(indicator => indicator.classList.remove('active'));
 }
 
-function addDragAndDropHandlers() {
-  const items = document.querySelectorAll('.tab-item');
-  items.forEach(function(item) {
-    item.addEventListener('dragstart', handleDragStart);
-    item.addEventListener('dragend', handleDragEnd);
-  });
-}
-
 // Debounced version of updateTabs to prevent rapid successive calls
 function debouncedUpdateTabs() {
   return new Promise((resolve) => {
+    // Callers of a superseded call are resolved by the update that replaces it
+    pendingUpdateResolvers.push(resolve);
     if (updateTimeout) {
       clearTimeout(updateTimeout);
     }
     
     updateTimeout = setTimeout(async () => {
+      const resolvers = pendingUpdateResolvers;
+      pendingUpdateResolvers = [];
       await updateTabsInternal();
-      resolve();
+      resolvers.forEach(resolveUpdate => resolveUpdate());
     }, 100);
   });
 }
@@ -951,16 +3437,30 @@ async function updateTabsInternal() {
     // Get tab group map and group names with error handling
     let tabGroupMap = {};
     let groupNames = {};
+    let storedGroupOrder = null;
+    let collapsedGroups = null;
+    let groupColors = {};
+    let groupIcons = {};
     try {
       const response = await chrome.runtime.sendMessage({ action: 'getTabGroupMap', windowId: sidepanelWindowId });
       tabGroupMap = response?.tabGroupMap || {};
+      tabParentMap = response?.tabParentMap || {};
+      tabLoadErrors = response?.tabLoadErrors || {};
       groupNames = response?.groupNames || {};
+      storedGroupOrder = response?.groupOrder || null;
+      collapsedGroups = response?.collapsedGroups || null;
+      groupColors = response?.groupColors || {};
+      groupIcons = response?.groupIcons || {};
     } catch (error) {
       console.warn('Failed to get tab group map:', error);
       // Continue with empty maps as fallback
     }
     
+    // Pinned tabs are shown in their own strip rather than in a group
+    pinnedTabs = allTabs.filter(tab => tab.pinned);
+
     allTabs.forEach(tab => {
+      if (tab.pinned) return;
       const groupId = tabGroupMap[tab.id] || 'ungrouped';
       if (!tabGroups[groupId] && groupId !== 'ungrouped') {
           // Create new group with name from background script, or use default
@@ -998,7 +3498,31 @@ async function updateTabsInternal() {
       }
     }
 
+    // The background keeps the authoritative group order and collapsed flags per window,
+    // so a reopened panel (or one in another window) shows the same layout.
+    if (storedGroupOrder) {
+      const knownGroups = storedGroupOrder.filter(groupId => tabGroups[groupId]);
+      const unknownGroups = groupOrder.filter(groupId => groupId !== 'ungrouped' && !knownGroups.includes(groupId));
+      groupOrder = ['ungrouped', ...knownGroups, ...unknownGroups];
+    }
+    if (collapsedGroups) {
+      for (const groupId in tabGroups) {
+        if (groupId !== 'ungrouped') {
+          tabGroups[groupId].collapsed = !!collapsedGroups[groupId];
+        }
+      }
+    }
+    for (const groupId in tabGroups) {
+      if (groupId !== 'ungrouped') {
+        tabGroups[groupId].color = groupColors[groupId] || null;
+        tabGroups[groupId].icon = groupIcons[groupId] || null;
+      }
+    }
+
     renderTabs();
+    if (allWindowsView) {
+      await updateOtherWindows();
+    }
   } catch (error) {
     console.error('Error updating tabs:', error);
   } finally {
@@ -1026,9 +3550,49 @@ async function handleTabActivation(activeInfo) {
   await debouncedUpdateTabs();
 }
 
+/**
+ * Returns the sets of tabs in this window that share a normalized URL
+ */
+function findDuplicateTabSets() {
+  const tabsByUrl = new Map();
+  for (const tab of tabsById.values()) {
+    const normalizedUrl = normalizeTabUrl(tab.url, duplicateSettings);
+    if (!normalizedUrl) continue;
+    if (!tabsByUrl.has(normalizedUrl)) {
+      tabsByUrl.set(normalizedUrl, []);
+    }
+    tabsByUrl.get(normalizedUrl).push(tab);
+  }
+  return Array.from(tabsByUrl.values()).filter(tabs => tabs.length > 1);
+}
+
+/**
+ * Closes duplicate tabs, keeping the most recently used copy of each page where it is.
+ * Pinned tabs are never closed: a page open in a pinned tab keeps only its pinned copies.
+ */
+async function mergeDuplicateTabs() {
+  // The active tab always counts as the most recently used one
+  const recency = tab => tab.active ? Infinity : (tab.lastAccessed || 0);
+  const tabIdsToClose = [];
+  findDuplicateTabSets().forEach(tabs => {
+    const pinnedCopies = tabs.filter(tab => tab.pinned);
+    const keptTabs = pinnedCopies.length > 0
+      ? pinnedCopies
+      : [tabs.reduce((best, tab) => recency(tab) > recency(best) ? tab : best)];
+    tabs.forEach(tab => {
+      if (!keptTabs.includes(tab)) tabIdsToClose.push(tab.id);
+    });
+  });
+  if (tabIdsToClose.length === 0) return;
+
+  tabIdsToClose.forEach(id => selectedTabs.delete(id));
+  await closeTabsWithUndo(tabIdsToClose);
+}
+
 async function sortBrowserTabs() {
   // Disable the button to prevent multiple clicks
   sortTabsBtn.disabled = true;
+  const layoutBefore = captureLayout();
 
   try {
     const tabIdsInOrder = groupOrder.flatMap(groupId =>
@@ -1038,6 +3602,7 @@ async function sortBrowserTabs() {
     if (tabIdsInOrder.length > 0) {
       // This moves all the tabs to the start of the window, in the specified order.
       await chrome.tabs.move(tabIdsInOrder, { index: 0 });
+      recordLayoutChange('Sort tabs', layoutBefore);
     }
   } catch (error) {
     console.error('Error sorting tabs:', error);
@@ -1048,9 +3613,13 @@ async function sortBrowserTabs() {
   }
 }
 
-newGroupBtn.addEventListener('click', async () => {
+/**
+ * Creates an empty group and puts its name into edit mode
+ */
+async function createNewGroup() {
   const newGroupId = `group-${Date.now()}`;
   const groupName = 'New Group';
+  const layoutBefore = captureLayout();
 
   try {
     const response = await chrome.runtime.sendMessage({
@@ -1061,6 +3630,7 @@ newGroupBtn.addEventListener('click', async () => {
     });
 
     if (response && response.success) {
+      recordLayoutChange('New group', layoutBefore);
       await debouncedUpdateTabs();
 
       const groupEl = document.querySelector(`.tab-group[data-group-id="${newGroupId}"]`);
@@ -1073,9 +3643,27 @@ newGroupBtn.addEventListener('click', async () => {
     console.error('Error creating new group:', error);
     alert('Failed to create new group. Please try again.');
   }
-});
+}
+
+newGroupBtn.addEventListener('click', createNewGroup);
 
 sortTabsBtn.addEventListener('click', sortBrowserTabs);
+mergeDuplicatesBtn.addEventListener('click', mergeDuplicateTabs);
+allWindowsBtn.addEventListener('click', () => setAllWindowsView(!allWindowsView));
+addWindowDropTarget(thisWindowHeader);
+searchInput.addEventListener('input', handleSearchInput);
+searchInput.addEventListener('keydown', handleSearchKeydown);
+tabsContainer.addEventListener('keydown', handleListKeydown);
+document.addEventListener('keydown', handleHistoryKeydown);
+tabsContainer.addEventListener('focusin', (e) => {
+  const item = e.target.closest('[data-focus-key]');
+  if (item) {
+    focusedItemKey = item.dataset.focusKey;
+  }
+});
+// Virtualized rows are swapped in and out as the panel scrolls or changes size
+window.addEventListener('scroll', schedulePatchDom, { passive: true });
+window.addEventListener('resize', schedulePatchDom);
 
 chrome.tabs.onCreated.addListener(updateTabs);
 chrome.tabs.onUpdated.addListener(updateTabs);
@@ -1084,6 +3672,8 @@ chrome.tabs.onMoved.addListener(updateTabs);
 chrome.tabs.onAttached.addListener(updateTabs);
 chrome.tabs.onDetached.addListener(updateTabs);
 chrome.tabs.onActivated.addListener(handleTabActivation);
+chrome.windows.onCreated.addListener(updateTabs);
+chrome.windows.onRemoved.addListener(updateTabs);
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Safety check for message structure
   if (!message || typeof message !== 'object') {
@@ -1115,28 +3705,83 @@ chrome.storage.local.get('theme', (result) => {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'updateTheme') {
         applyTheme(message.theme);
+    } else if (message.action === 'updateTreeMode') {
+        treeMode = message.treeMode === true;
+        renderTabs();
+    } else if (message.action === 'updateDuplicateSettings') {
+        duplicateSettings = { ...DEFAULT_DUPLICATE_SETTINGS, ...message.settings };
+        renderTabs();
     }
 });
 
+chrome.storage.local.get('treeMode', (result) => {
+  treeMode = result.treeMode === true;
+  renderTabs();
+});
+
+chrome.storage.local.get('allWindowsView', (result) => {
+  allWindowsView = result.allWindowsView === true;
+  updateTabs();
+});
+
+chrome.storage.local.get('duplicateSettings', (result) => {
+  duplicateSettings = { ...DEFAULT_DUPLICATE_SETTINGS, ...(result.duplicateSettings || {}) };
+  renderTabs();
+});
+
+chrome.storage.local.get(['stashedGroups', 'closedGroups'], (result) => {
+  stashedGroups = result.stashedGroups || [];
+  closedGroups = result.closedGroups || [];
+  renderStashedSection();
+  updateRecentlyClosed();
+});
+
+// Stashes and closed groups are shared by every window's panel, so follow the stored lists
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.stashedGroups) {
+    stashedGroups = changes.stashedGroups.newValue || [];
+    renderStashedSection();
+  }
+  if (changes.closedGroups) {
+    closedGroups = changes.closedGroups.newValue || [];
+    renderRecentlyClosedSection();
+  }
+});
+
+chrome.sessions.onChanged.addListener(updateRecentlyClosed);
+
+snackbarUndoBtn.addEventListener('click', () => {
+  const undo = snackbarUndo;
+  hideSnackbar();
+  if (undo) undo();
+});
+
 
 async function init() {
   sidepanelWindowId = (await chrome.windows.getCurrent()).id;
+  thisWindowHeader.dataset.windowId = sidepanelWindowId;
+  connectToBackground();
   // Initialize context menu and global click handler
   createContextMenu();
 
+  createGroupAppearancePicker();
+
   // Global click handler to hide context menu when clicking elsewhere
   document.addEventListener('click', (e) => {
     if (contextMenu && !contextMenu.contains(e.target)) {
       hideContextMenu();
     }
+    if (groupAppearancePicker && !groupAppearancePicker.contains(e.target)) {
+      hideGroupAppearancePicker();
+    }
   });
 
-  // Prevent context menu on empty areas of the container
-  tabsContainer.addEventListener('contextmenu', (e) => {
-    // Only allow context menu on tab elements, not empty container areas
-    if (!e.target.closest('.tab-item')) {
-      e.preventDefault();
-    }
+  // Tabs and group headers open their own menus; anything else in the panel gets the empty-space menu
+  document.getElementById('main-container').addEventListener('contextmenu', (e) => {
+    if (e.target.closest('input, [contenteditable="true"]')) return;
+    e.preventDefault();
+    showEmptySpaceContextMenu(e.clientX, e.clientY);
   });
 
   updateTabs();